@@ -60,6 +60,7 @@ program
           const queueStates = states.queues[queue.name] || {}
           console.log(`  ${queue.name}:`)
           console.log(`    Policy: ${queue.policy || 'standard'}`)
+          console.log(`    Paused: ${queue.paused ? 'yes' : 'no'}`)
           console.log(`    Jobs: ${Object.values(queueStates).reduce((a, b) => a + b, 0)}`)
           console.log(`    Active: ${queueStates.active || 0}`)
           console.log(`    Completed: ${queueStates.completed || 0}`)
@@ -204,6 +205,44 @@ program
     }
   })
 
+// Pause command
+program
+  .command('pause <queue>')
+  .description('Stop every worker from fetching jobs from a queue')
+  .action(async (queueName) => {
+    const swiftQueue = createSwiftQueue(program.opts())
+    try {
+      await swiftQueue.start()
+
+      const changed = await swiftQueue.pauseQueue(queueName)
+      console.log(changed ? `✓ Queue "${queueName}" paused` : `Queue "${queueName}" is already paused`)
+
+      await swiftQueue.stop()
+    } catch (error) {
+      console.error('✗ Failed to pause queue:', error.message)
+      process.exit(1)
+    }
+  })
+
+// Resume command
+program
+  .command('resume <queue>')
+  .description('Let workers fetch jobs from a paused queue again')
+  .action(async (queueName) => {
+    const swiftQueue = createSwiftQueue(program.opts())
+    try {
+      await swiftQueue.start()
+
+      const changed = await swiftQueue.resumeQueue(queueName)
+      console.log(changed ? `✓ Queue "${queueName}" resumed` : `Queue "${queueName}" is not paused`)
+
+      await swiftQueue.stop()
+    } catch (error) {
+      console.error('✗ Failed to resume queue:', error.message)
+      process.exit(1)
+    }
+  })
+
 // Maintenance command
 program
   .command('maintain')
@@ -233,6 +272,7 @@ program
   .command('schedule <queue> <cron> [data]')
   .description('Schedule a recurring job')
   .option('-tz, --timezone <timezone>', 'Timezone', 'UTC')
+  .option('-k, --key <key>', 'Schedule key, for more than one schedule per queue')
   .action(async (queueName, cron, data, options) => {
     const swiftQueue = createSwiftQueue(program.opts())
     try {
@@ -248,10 +288,11 @@ program
       }
       
       await swiftQueue.schedule(queueName, cron, jobData, {
-        tz: options.timezone || 'UTC'
+        tz: options.timezone || 'UTC',
+        key: options.key
       })
       
-      console.log(`✓ Job scheduled for queue "${queueName}"`)
+      console.log(`✓ Job scheduled for queue "${queueName}"${options.key ? ` with key "${options.key}"` : ''}`)
       console.log(`   Cron: ${cron}`)
       console.log(`   Timezone: ${options.timezone || 'UTC'}`)
       
@@ -262,6 +303,96 @@ program
     }
   })
 
+// Schedules command
+program
+  .command('schedules [queue]')
+  .description('List schedules')
+  .action(async (queueName) => {
+    const swiftQueue = createSwiftQueue(program.opts())
+    try {
+      await swiftQueue.start()
+
+      const schedules = await swiftQueue.getSchedules({ queue: queueName })
+
+      console.log('\nSchedules:')
+      schedules.forEach(schedule => {
+        console.log(`  ${schedule.name} (${schedule.key})`)
+        console.log(`    ${schedule.cron ? `Cron: ${schedule.cron} ${schedule.timezone}` : `Every: ${schedule.every}s`}`)
+        console.log(`    Paused: ${schedule.paused ? 'yes' : 'no'}`)
+        console.log(`    Last run: ${schedule.lastRunOn ? `${schedule.lastRunOn.toISOString()} (job ${schedule.lastJobId})` : 'never'}`)
+        console.log(`    Next run: ${schedule.nextRunOn ? schedule.nextRunOn.toISOString() : '-'}`)
+        if (schedule.remaining !== null) {
+          console.log(`    Runs left: ${schedule.remaining} of ${schedule.runLimit}`)
+        }
+      })
+
+      await swiftQueue.stop()
+    } catch (error) {
+      console.error('✗ Failed to list schedules:', error.message)
+      process.exit(1)
+    }
+  })
+
+// Schedule pause command
+program
+  .command('schedule-pause <queue>')
+  .description('Stop a schedule from sending jobs')
+  .option('-k, --key <key>', 'Schedule key')
+  .action(async (queueName, options) => {
+    const swiftQueue = createSwiftQueue(program.opts())
+    try {
+      await swiftQueue.start()
+
+      const changed = await swiftQueue.pauseSchedule(queueName, options.key)
+      console.log(changed ? `✓ Schedule "${options.key || 'default'}" of queue "${queueName}" paused` : `Schedule "${options.key || 'default'}" of queue "${queueName}" is already paused`)
+
+      await swiftQueue.stop()
+    } catch (error) {
+      console.error('✗ Failed to pause schedule:', error.message)
+      process.exit(1)
+    }
+  })
+
+// Schedule resume command
+program
+  .command('schedule-resume <queue>')
+  .description('Let a paused schedule send jobs again')
+  .option('-k, --key <key>', 'Schedule key')
+  .action(async (queueName, options) => {
+    const swiftQueue = createSwiftQueue(program.opts())
+    try {
+      await swiftQueue.start()
+
+      const changed = await swiftQueue.resumeSchedule(queueName, options.key)
+      console.log(changed ? `✓ Schedule "${options.key || 'default'}" of queue "${queueName}" resumed` : `Schedule "${options.key || 'default'}" of queue "${queueName}" is not paused`)
+
+      await swiftQueue.stop()
+    } catch (error) {
+      console.error('✗ Failed to resume schedule:', error.message)
+      process.exit(1)
+    }
+  })
+
+// Schedule trigger command
+program
+  .command('schedule-trigger <queue>')
+  .description('Send a scheduled job now')
+  .option('-k, --key <key>', 'Schedule key')
+  .action(async (queueName, options) => {
+    const swiftQueue = createSwiftQueue(program.opts())
+    try {
+      await swiftQueue.start()
+
+      const jobId = await swiftQueue.triggerSchedule(queueName, options.key)
+      console.log(jobId ? `✓ Job ${jobId} sent to queue "${queueName}"` : `Queue "${queueName}" rejected the job`)
+
+      await swiftQueue.stop()
+    } catch (error) {
+      console.error('✗ Failed to trigger schedule:', error.message)
+      process.exit(1)
+    }
+  })
+
 // Helper function to create Swift Queue MySQL instance
 function createSwiftQueue(options) {
   const config = {}
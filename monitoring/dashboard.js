@@ -24,11 +24,15 @@ class Dashboard {
         const states = await this.boss.countStates()
         const queues = await this.boss.getQueues()
         const wipData = await this.boss.getWipData()
+        const activeJobs = await this.boss.getActiveJobs({ limit: 50 })
+        const schedules = await this.boss.getSchedules()
         
         res.json({
           states,
           queues,
           workers: wipData,
+          activeJobs,
+          schedules,
           timestamp: new Date().toISOString()
         })
       } catch (error) {
@@ -69,6 +73,24 @@ class Dashboard {
       }
     })
 
+    this.app.post('/api/queues/:name/pause', async (req, res) => {
+      try {
+        const changed = await this.boss.pauseQueue(req.params.name)
+        res.json({ paused: true, changed })
+      } catch (error) {
+        res.status(500).json({ error: error.message })
+      }
+    })
+
+    this.app.post('/api/queues/:name/resume', async (req, res) => {
+      try {
+        const changed = await this.boss.resumeQueue(req.params.name)
+        res.json({ paused: false, changed })
+      } catch (error) {
+        res.status(500).json({ error: error.message })
+      }
+    })
+
     this.app.delete('/api/queues/:name', async (req, res) => {
       try {
         await this.boss.purgeQueue(req.params.name)
@@ -87,15 +109,52 @@ class Dashboard {
       }
     })
 
+    this.app.get('/api/jobs/active', async (req, res) => {
+      try {
+        const { name, limit } = req.query
+        const jobs = await this.boss.getActiveJobs({ name, limit: limit ? parseInt(limit) : undefined })
+        res.json(jobs)
+      } catch (error) {
+        res.status(500).json({ error: error.message })
+      }
+    })
+
     this.app.get('/api/schedules', async (req, res) => {
       try {
-        const schedules = await this.boss.getSchedules()
+        const schedules = await this.boss.getSchedules({ queue: req.query.queue })
         res.json(schedules)
       } catch (error) {
         res.status(500).json({ error: error.message })
       }
     })
 
+    this.app.post('/api/schedules/:name/pause', async (req, res) => {
+      try {
+        const changed = await this.boss.pauseSchedule(req.params.name, req.query.key)
+        res.json({ paused: true, changed })
+      } catch (error) {
+        res.status(500).json({ error: error.message })
+      }
+    })
+
+    this.app.post('/api/schedules/:name/resume', async (req, res) => {
+      try {
+        const changed = await this.boss.resumeSchedule(req.params.name, req.query.key)
+        res.json({ paused: false, changed })
+      } catch (error) {
+        res.status(500).json({ error: error.message })
+      }
+    })
+
+    this.app.post('/api/schedules/:name/trigger', async (req, res) => {
+      try {
+        const jobId = await this.boss.triggerSchedule(req.params.name, req.query.key)
+        res.json({ jobId })
+      } catch (error) {
+        res.status(500).json({ error: error.message })
+      }
+    })
+
     // Dashboard HTML
     this.app.get('/', (req, res) => {
       res.send(this.getDashboardHTML())
@@ -123,11 +182,15 @@ class Dashboard {
         .queue-name { font-weight: bold; color: #333; }
         .queue-stats { margin-top: 10px; }
         .queue-stat { display: inline-block; margin-right: 20px; }
+        .jobs { background: white; padding: 20px; border-radius: 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); margin-bottom: 20px; }
+        .progress-bar { display: inline-block; width: 200px; height: 10px; background: #eee; border-radius: 5px; overflow: hidden; vertical-align: middle; }
+        .progress-fill { height: 100%; background: #28a745; }
         .workers { background: white; padding: 20px; border-radius: 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); }
         .worker-item { border-bottom: 1px solid #eee; padding: 15px 0; }
         .status-active { color: #28a745; }
         .status-stopping { color: #ffc107; }
         .status-stopped { color: #dc3545; }
+        .status-paused { color: #ffc107; }
         .btn { padding: 10px 20px; background: #007bff; color: white; border: none; border-radius: 3px; cursor: pointer; }
         .btn:hover { background: #0056b3; }
         .btn-danger { background: #dc3545; }
@@ -181,6 +244,20 @@ class Dashboard {
             </div>
         </div>
 
+        <div class="jobs">
+            <h2>Active Jobs</h2>
+            <div id="jobs-list">
+                <div class="loading">Loading jobs...</div>
+            </div>
+        </div>
+
+        <div class="schedules">
+            <h2>Schedules</h2>
+            <div id="schedules-list">
+                <div class="loading">Loading schedules...</div>
+            </div>
+        </div>
+
         <div class="workers">
             <h2>Workers</h2>
             <div id="workers-list">
@@ -222,19 +299,56 @@ class Dashboard {
                     
                     return \`
                         <div class="queue-item">
-                            <div class="queue-name">\${queue.name}</div>
+                            <div class="queue-name">\${queue.name} \${queue.paused ? '<span class="status-paused">(paused)</span>' : ''}</div>
                             <div class="queue-stats">
                                 <span class="queue-stat">Total: \${totalJobs}</span>
                                 <span class="queue-stat">Active: \${queueStates.active || 0}</span>
                                 <span class="queue-stat">Completed: \${queueStates.completed || 0}</span>
                                 <span class="queue-stat">Failed: \${queueStates.failed || 0}</span>
                                 <span class="queue-stat">Policy: \${queue.policy || 'standard'}</span>
+                                <button class="btn" onclick="setPaused('\${queue.name}', \${!queue.paused})">\${queue.paused ? 'Resume' : 'Pause'}</button>
                             </div>
                         </div>
                     \`;
                 }).join('');
             }
 
+            // Update active jobs
+            const jobsList = document.getElementById('jobs-list');
+            if (data.activeJobs.length === 0) {
+                jobsList.innerHTML = '<div class="loading">No active jobs</div>';
+            } else {
+                jobsList.innerHTML = data.activeJobs.map(job => \`
+                    <div class="queue-item">
+                        <div class="queue-name">\${escapeHtml(job.name)} <small>\${escapeHtml(job.id)}</small></div>
+                        <div class="queue-stats">
+                            <span class="queue-stat">Started: \${new Date(job.startedOn).toLocaleString()}</span>
+                            <span class="queue-stat">Progress: \${formatProgress(job.progress)}</span>
+                        </div>
+                    </div>
+                \`).join('');
+            }
+
+            // Update schedules
+            const schedulesList = document.getElementById('schedules-list');
+            if (data.schedules.length === 0) {
+                schedulesList.innerHTML = '<div class="loading">No schedules</div>';
+            } else {
+                schedulesList.innerHTML = data.schedules.map(schedule => \`
+                    <div class="queue-item">
+                        <div class="queue-name">\${escapeHtml(schedule.name)} <small>\${escapeHtml(schedule.key)}</small> \${schedule.paused ? '<span class="status-paused">(paused)</span>' : ''}</div>
+                        <div class="queue-stats">
+                            <span class="queue-stat">\${schedule.every ? \`Every: \${schedule.every}s\` : \`Cron: \${escapeHtml(schedule.cron)}\`}</span>
+                            <span class="queue-stat">Next Run: \${schedule.nextRunOn ? new Date(schedule.nextRunOn).toLocaleString() : 'n/a'}</span>
+                            <span class="queue-stat">Last Run: \${schedule.lastRunOn ? new Date(schedule.lastRunOn).toLocaleString() : 'n/a'}</span>
+                            <span class="queue-stat">Runs: \${schedule.runCount}\${schedule.runLimit === null ? '' : \` / \${schedule.runLimit}\`}</span>
+                            <button class="btn" data-name="\${escapeHtml(schedule.name)}" data-key="\${escapeHtml(schedule.key)}" onclick="updateSchedule(this, '\${schedule.paused ? 'resume' : 'pause'}')">\${schedule.paused ? 'Resume' : 'Pause'}</button>
+                            <button class="btn" data-name="\${escapeHtml(schedule.name)}" data-key="\${escapeHtml(schedule.key)}" onclick="updateSchedule(this, 'trigger')">Trigger</button>
+                        </div>
+                    </div>
+                \`).join('');
+            }
+
             // Update workers
             const workersList = document.getElementById('workers-list');
             if (data.workers.length === 0) {
@@ -253,6 +367,28 @@ class Dashboard {
             }
         }
 
+        // Numbers (or objects with a numeric percent) render as a bar, anything else as JSON
+        function formatProgress(progress) {
+            if (progress === null || progress === undefined) {
+                return 'n/a';
+            }
+
+            const percent = typeof progress === 'number' ? progress : progress.percent;
+
+            if (typeof percent === 'number') {
+                const width = Math.max(0, Math.min(100, percent));
+                return \`<span class="progress-bar"><span class="progress-fill" style="display: block; width: \${width}%"></span></span> \${percent}%\`;
+            }
+
+            return escapeHtml(JSON.stringify(progress));
+        }
+
+        // Job names, ids and progress are stored data, so they are escaped before going into innerHTML
+        function escapeHtml(value) {
+            const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+            return String(value).replace(/[&<>"']/g, char => entities[char]);
+        }
+
         function showError(message) {
             const errorDiv = document.getElementById('error');
             errorDiv.textContent = message;
@@ -277,6 +413,44 @@ Deleted jobs: \${result.deletedJobs}\`);
             }
         }
 
+        async function setPaused(name, paused) {
+            try {
+                const action = paused ? 'pause' : 'resume';
+                const response = await fetch(\`/api/queues/\${encodeURIComponent(name)}/\${action}\`, { method: 'POST' });
+                const result = await response.json();
+
+                if (result.error) {
+                    throw new Error(result.error);
+                }
+
+                refreshData();
+            } catch (error) {
+                showError('Failed to update queue: ' + error.message);
+            }
+        }
+
+        // action is pause, resume or trigger. The schedule name and key come from the button's data attributes
+        async function updateSchedule(button, action) {
+            try {
+                const { name, key } = button.dataset;
+                const response = await fetch(\`/api/schedules/\${encodeURIComponent(name)}/\${action}?key=\${encodeURIComponent(key)}\`, { method: 'POST' });
+                const result = await response.json();
+
+                if (result.error) {
+                    throw new Error(result.error);
+                }
+
+                if (action === 'trigger' && !result.jobId) {
+                    showError(\`Schedule \${name} (\${key}) was not triggered: the queue policy rejected the job\`);
+                    return;
+                }
+
+                refreshData();
+            } catch (error) {
+                showError('Failed to update schedule: ' + error.message);
+            }
+        }
+
         function refreshData() {
             fetchData();
         }
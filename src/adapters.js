@@ -0,0 +1,67 @@
+const { execute, toResult } = require('./db')
+
+// Write APIs accept options.db so jobs can be written in the caller's own transaction.
+// Anything with executeSql(text, values) resolving to { rows, rowCount } works as is,
+// mysql2 connections are wrapped automatically, and the helpers below adapt the
+// transaction objects of common query builders and ORMs.
+
+function fromMysql2 (connection) {
+  return {
+    executeSql: (text, values = []) => execute(connection, text, values)
+  }
+}
+
+// knex.transaction(async trx => ...) on the mysql2 client
+function fromKnex (trx) {
+  return {
+    executeSql: async (text, values = []) => {
+      const [rows, fields] = await trx.raw(text, values)
+      return toResult(rows, fields)
+    }
+  }
+}
+
+// sequelize.transaction(async transaction => ...) on the mysql dialect
+function fromSequelize (transaction) {
+  return {
+    executeSql: async (text, values = []) => {
+      const [rows] = await transaction.sequelize.query(text, { replacements: values, transaction, raw: true })
+      return toResult(rows)
+    }
+  }
+}
+
+// prisma.$transaction(async tx => ...)
+function fromPrisma (tx) {
+  return {
+    executeSql: async (text, values = []) => {
+      if (/^\s*(SELECT|SHOW|WITH)\b/i.test(text)) {
+        const rows = await tx.$queryRawUnsafe(text, ...values)
+        return toResult(rows)
+      }
+
+      const rowCount = await tx.$executeRawUnsafe(text, ...values)
+      return { rows: [], rowCount }
+    }
+  }
+}
+
+function toDb (db) {
+  if (typeof db.executeSql === 'function') {
+    return db
+  }
+
+  if (typeof db.execute === 'function' && typeof db.query === 'function') {
+    return fromMysql2(db)
+  }
+
+  throw new Error('options.db must have executeSql() or be a mysql2 connection. Wrap Knex, Sequelize and Prisma transactions with SwiftQueueMySQL.adapters')
+}
+
+module.exports = {
+  fromMysql2,
+  fromKnex,
+  fromSequelize,
+  fromPrisma,
+  toDb
+}
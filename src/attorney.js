@@ -7,6 +7,7 @@ const POLICY = {
   ARCHIVE_SECONDS: 86400,
   DELETE_AFTER_SECONDS: 86400,
   CRON_DEBOUNCE_SECONDS: 60,
+  CRON_MONITOR_INTERVAL_SECONDS: 30,
   MAINTENANCE_INTERVAL_SECONDS: 300,
   MONITOR_INTERVAL_SECONDS: 60,
   CLOCK_MONITOR_INTERVAL_SECONDS: 60,
@@ -66,6 +67,7 @@ module.exports = {
   assertWorkerOptions,
   assertCronExpression,
   assertScheduleOptions,
+  assertScheduleInterval,
   assertSubscriptionOptions,
   assertQueuePolicy,
   warnClockSkew,
@@ -110,6 +112,7 @@ function getConfig (value) {
     monitorStateIntervalMinutes: POLICY.MONITOR_INTERVAL_SECONDS / 60,
     clockMonitorIntervalSeconds: POLICY.CLOCK_MONITOR_INTERVAL_SECONDS,
     clockMonitorIntervalMinutes: POLICY.CLOCK_MONITOR_INTERVAL_SECONDS / 60,
+    cronMonitorIntervalSeconds: POLICY.CRON_MONITOR_INTERVAL_SECONDS,
     ...value
   }
 
@@ -169,6 +172,35 @@ function checkSendArgs (args, defaults) {
     assert(sending.options.expireInSeconds <= POLICY.MAX_EXPIRATION_HOURS * 3600, `expireInSeconds cannot exceed ${POLICY.MAX_EXPIRATION_HOURS} hours`)
   }
 
+  if (sending.options.dependsOn !== undefined) {
+    assert(Array.isArray(sending.options.dependsOn) && sending.options.dependsOn.length > 0, 'dependsOn must be a non-empty array of job ids')
+    assert(sending.options.dependsOn.every(id => typeof id === 'string' && id.length > 0), 'dependsOn must only contain job ids')
+  }
+
+  if (sending.options.onParentFailure !== undefined) {
+    const validPolicies = ['fail', 'cancel', 'continue']
+    assert(validPolicies.includes(sending.options.onParentFailure), `onParentFailure must be one of: ${validPolicies.join(', ')}`)
+  }
+
+  if (sending.options.group !== undefined) {
+    assert(typeof sending.options.group === 'string' && sending.options.group.length > 0, 'group must be a non-empty string')
+    assert(sending.options.group.length <= 255, 'group cannot exceed 255 characters')
+  }
+
+  if (sending.options.orderingKey !== undefined) {
+    assert(typeof sending.options.orderingKey === 'string' && sending.options.orderingKey.length > 0, 'orderingKey must be a non-empty string')
+    assert(sending.options.orderingKey.length <= 255, 'orderingKey cannot exceed 255 characters')
+  }
+
+  if (sending.options.idempotencyKey !== undefined) {
+    assert(typeof sending.options.idempotencyKey === 'string' && sending.options.idempotencyKey.length > 0, 'idempotencyKey must be a non-empty string')
+    assert(sending.options.idempotencyKey.length <= 255, 'idempotencyKey cannot exceed 255 characters')
+  }
+
+  if (sending.options.idempotencyTtl !== undefined) {
+    assert(Number.isInteger(sending.options.idempotencyTtl) && sending.options.idempotencyTtl > 0, 'idempotencyTtl must be a positive integer')
+  }
+
   if (sending.options.retryLimit) {
     assert(Number.isInteger(sending.options.retryLimit) && sending.options.retryLimit >= 0, 'retryLimit must be a non-negative integer')
   }
@@ -189,6 +221,10 @@ function checkSendArgs (args, defaults) {
     assertQueueName(sending.options.deadLetter)
   }
 
+  if (sending.options.policy) {
+    assertQueuePolicy(sending.options.policy)
+  }
+
   return sending
 }
 
@@ -227,6 +263,10 @@ function checkWorkArgs (name, args, defaults) {
     assertIncludeMetadata(options.includeMetadata)
   }
 
+  if (options.heartbeatSeconds) {
+    assert(Number.isInteger(options.heartbeatSeconds) && options.heartbeatSeconds > 0, 'heartbeatSeconds must be a positive integer')
+  }
+
   return { options, callback }
 }
 
@@ -279,6 +319,17 @@ function assertQueueOptions (options) {
   if (options.deadLetter !== undefined) {
     assertQueueName(options.deadLetter)
   }
+
+  // null removes the rate limit or group concurrency in updateQueue
+  if (options.rateLimit !== undefined && options.rateLimit !== null) {
+    const { max, durationSeconds } = options.rateLimit
+    assert(Number.isInteger(max) && max > 0, 'rateLimit.max must be a positive integer')
+    assert(Number.isInteger(durationSeconds) && durationSeconds > 0, 'rateLimit.durationSeconds must be a positive integer')
+  }
+
+  if (options.groupConcurrency !== undefined && options.groupConcurrency !== null) {
+    assert(Number.isInteger(options.groupConcurrency) && options.groupConcurrency > 0, 'groupConcurrency must be a positive integer')
+  }
 }
 
 function assertBatchSize (batchSize) {
@@ -357,10 +408,37 @@ function assertCronExpression (cron) {
   assert(cron.length > 0, 'cron expression cannot be empty')
 }
 
+function assertScheduleInterval (seconds) {
+  assert(Number.isInteger(seconds) && seconds > 0, 'schedule interval must be a positive whole number of seconds')
+}
+
 function assertScheduleOptions (options) {
   if (options.tz !== undefined) {
     assert(typeof options.tz === 'string', 'timezone must be a string')
   }
+
+  if (options.key !== undefined) {
+    assert(typeof options.key === 'string' && options.key.length > 0, 'schedule key must be a non-empty string')
+    assert(options.key.length <= 255, 'schedule key cannot exceed 255 characters')
+  }
+
+  if (options.catchUp !== undefined) {
+    assert(['none', 'latest', 'all'].includes(options.catchUp), 'catchUp must be one of: none, latest, all')
+  }
+
+  for (const option of ['startDate', 'endDate']) {
+    if (options[option] != null) {
+      assert(!isNaN(new Date(options[option])), `${option} must be a valid date`)
+    }
+  }
+
+  if (options.startDate != null && options.endDate != null) {
+    assert(new Date(options.startDate) < new Date(options.endDate), 'startDate must be before endDate')
+  }
+
+  if (options.limit != null) {
+    assert(Number.isInteger(options.limit) && options.limit > 0, 'limit must be a positive integer')
+  }
 }
 
 function assertSubscriptionOptions (options) {
@@ -8,6 +8,8 @@ const events = {
   monitorStates: 'monitor-states'
 }
 
+const EXPIRED_OUTPUT = JSON.stringify({ value: { message: 'job failed by timeout in active state' } })
+
 class Boss extends EventEmitter {
   constructor (db, config) {
     super()
@@ -21,9 +23,11 @@ class Boss extends EventEmitter {
 
     this.events = events
 
-    this.failJobsByTimeoutCommand = plans.failJobsByTimeout(config.schema)
+    this.getExpiredJobsCommand = plans.getExpiredJobs(config.schema)
     this.archiveCommand = plans.archive(config.schema, config.archiveInterval || 86400, config.archiveFailedInterval || 86400)
     this.dropCommand = plans.drop(config.schema, config.deleteAfter || 86400)
+    this.dropIdempotencyKeysCommand = plans.dropIdempotencyKeys(config.schema)
+    this.dropHistoryCommand = plans.dropHistory(config.schema)
     this.trySetMaintenanceTimeCommand = plans.trySetMaintenanceTime(config.schema)
     this.trySetMonitorTimeCommand = plans.trySetMonitorTime(config.schema)
     this.countStatesCommand = plans.countStates(config.schema)
@@ -144,7 +148,9 @@ class Boss extends EventEmitter {
     const results = {
       expiredJobs: 0,
       archivedJobs: 0,
-      deletedJobs: 0
+      deletedJobs: 0,
+      deletedHistory: 0,
+      expiredIdempotencyKeys: 0
     }
 
     try {
@@ -159,6 +165,14 @@ class Boss extends EventEmitter {
       // Delete old archived jobs
       const deletedResult = await this.drop()
       results.deletedJobs = deletedResult.rowCount || 0
+
+      // History goes with the last copy of its job
+      const historyResult = await this.db.executeSql(this.dropHistoryCommand)
+      results.deletedHistory = historyResult.rowCount || 0
+
+      // Forget idempotency keys past their ttl
+      const idempotencyResult = await this.db.executeSql(this.dropIdempotencyKeysCommand)
+      results.expiredIdempotencyKeys = idempotencyResult.rowCount || 0
     } catch (err) {
       this.emit(events.error, err)
     }
@@ -193,7 +207,19 @@ class Boss extends EventEmitter {
   }
 
   async expire () {
-    return await this.db.executeSql(this.failJobsByTimeoutCommand)
+    return await this.db.transaction(async tx => {
+      const { rows } = await tx.executeSql(this.getExpiredJobsCommand)
+
+      if (!rows.length) {
+        return { rows: [], rowCount: 0 }
+      }
+
+      const ids = rows.map(job => job.id)
+
+      const results = await this.manager.failJobs(tx, ids, EXPIRED_OUTPUT, { retry: true })
+
+      return { rows: results, rowCount: results.filter(i => i.updated).length }
+    })
   }
 
   async archive () {
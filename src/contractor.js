@@ -43,12 +43,11 @@ class Contractor {
   }
 
   async migrate (version) {
-    const migrations = migrationStore.get(this.schema, version)
-    
-    if (migrations && migrations.length > 0) {
-      for (const migration of migrations) {
-        await this.db.executeSql(migration)
-      }
+    // applies every pending migration in order and bumps the stored version
+    const commands = migrationStore.migrate(this.schema, version)
+
+    for (const command of commands) {
+      await this.db.executeSql(command)
     }
   }
 
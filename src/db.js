@@ -1,5 +1,6 @@
 const EventEmitter = require('node:events')
 const mysql = require('mysql2/promise')
+const plans = require('./plans')
 
 class Db extends EventEmitter {
   constructor (config) {
@@ -114,30 +115,48 @@ class Db extends EventEmitter {
       throw new Error('Database connection not open')
     }
 
+    return this.run(this.pool, text, values)
+  }
+
+  // Runs callback against a dedicated connection inside a transaction.
+  // The callback receives an object with the same executeSql() contract as Db
+  async transaction (callback) {
+    if (!this.opened) {
+      throw new Error('Database connection not open')
+    }
+
+    const connection = await this.pool.getConnection()
+
+    const tx = {
+      executeSql: (text, values = []) => this.run(connection, text, values)
+    }
+
     try {
-      // MySQL uses ? placeholders, convert $1, $2, etc to ?
-      const mysqlText = text.replace(/\$(\d+)/g, '?')
-      
-      // Check if this is a DDL statement that cannot be prepared
-      const isDDL = /^\s*(CREATE|ALTER|DROP|TRUNCATE|RENAME|USE)\s/i.test(mysqlText)
-      
-      let rows, fields
-      if (isDDL || values.length === 0) {
-        // Use query() for DDL statements or statements without parameters
-        [rows, fields] = await this.pool.query(mysqlText, values)
-      } else {
-        // Use execute() for DML statements with parameters
-        [rows, fields] = await this.pool.execute(mysqlText, values)
-      }
-      
-      // Return pg-boss compatible result format
-      return {
-        rows: Array.isArray(rows) ? rows : [rows],
-        rowCount: Array.isArray(rows) ? rows.length : (rows.affectedRows || 0),
-        fields
+      await connection.beginTransaction()
+      const result = await callback(tx)
+      await connection.commit()
+      return result
+    } catch (error) {
+      try {
+        await connection.rollback()
+      } catch (rollbackError) {
+        this.emit('error', rollbackError)
       }
+      throw error
+    } finally {
+      connection.release()
+    }
+  }
+
+  async run (runner, text, values = []) {
+    try {
+      return await execute(runner, text, values)
     } catch (error) {
-      this.emit('error', error)
+      // the manager handles jobs its queue policy rejects, and a deadlock is
+      // thrown to the caller, which may run its transaction again
+      if (!plans.isPolicyConflict(error) && !plans.isDeadlock(error)) {
+        this.emit('error', error)
+      }
       throw error
     }
   }
@@ -157,4 +176,32 @@ class Db extends EventEmitter {
   }
 }
 
+// Runs a statement on a mysql2 pool or connection and shapes the result like pg
+async function execute (runner, text, values = []) {
+  // MySQL uses ? placeholders, convert $1, $2, etc to ?
+  const mysqlText = text.replace(/\$(\d+)/g, '?')
+
+  // Check if this is a DDL statement that cannot be prepared
+  const isDDL = /^\s*(CREATE|ALTER|DROP|TRUNCATE|RENAME|USE)\s/i.test(mysqlText)
+
+  // Use query() for DDL statements or statements without parameters,
+  // execute() for DML statements with parameters
+  const [rows, fields] = isDDL || values.length === 0
+    ? await runner.query(mysqlText, values)
+    : await runner.execute(mysqlText, values)
+
+  return toResult(rows, fields)
+}
+
+// Return pg-boss compatible result format
+function toResult (rows, fields) {
+  return {
+    rows: Array.isArray(rows) ? rows : [rows],
+    rowCount: Array.isArray(rows) ? rows.length : (rows.affectedRows || 0),
+    fields
+  }
+}
+
 module.exports = Db
+module.exports.execute = execute
+module.exports.toResult = toResult
@@ -6,7 +6,9 @@ const Manager = require('./manager')
 const Timekeeper = require('./timekeeper')
 const Boss = require('./boss')
 const Db = require('./db')
+const adapters = require('./adapters')
 const { delay } = require('./tools')
+const { WORKER_STATES } = require('./worker')
 
 const events = {
   error: 'error',
@@ -39,6 +41,7 @@ class SwiftQueueMySQL extends EventEmitter {
 
   static states = plans.JOB_STATES
   static policies = plans.QUEUE_POLICIES
+  static adapters = adapters
 
   constructor (value) {
     super()
@@ -81,9 +84,14 @@ class SwiftQueueMySQL extends EventEmitter {
     // Forward events
     this.#manager.on('wip', data => this.emit('wip', data))
     this.#manager.on('job', data => this.emit('job', data))
+    this.#manager.on('progress', data => this.emit('progress', data))
+    this.#manager.on('queue-paused', data => this.emit('queue-paused', data))
+    this.#manager.on('queue-resumed', data => this.emit('queue-resumed', data))
     this.#boss.on('maintenance', data => this.emit('maintenance', data))
     this.#boss.on('monitor-states', data => this.emit('monitor-states', data))
     this.#timekeeper.on('schedule', data => this.emit('schedule', data))
+    this.#timekeeper.on('schedule-paused', data => this.emit('schedule-paused', data))
+    this.#timekeeper.on('schedule-resumed', data => this.emit('schedule-resumed', data))
     this.#timekeeper.on('clock-skew', data => this.emit('clock-skew', data))
   }
 
@@ -150,7 +158,11 @@ class SwiftQueueMySQL extends EventEmitter {
             throw new Error(this.#config.__test__throw_stop_monitor)
           }
 
-          const isWip = () => this.#manager.getWipData({ includeInternal: false }).length > 0
+          // workers stop polling and abort their handlers' signals, then drain
+          this.#manager.stopWorkers()
+
+          const isWip = () => this.#manager.getWipData({ includeInternal: false })
+            .some(worker => worker.state !== WORKER_STATES.stopped)
 
           while ((Date.now() - this.#stoppingOn) < timeout && isWip()) {
             await delay(500)
@@ -254,12 +266,12 @@ class SwiftQueueMySQL extends EventEmitter {
     return this.#timekeeper.schedule(name, cron, data, options)
   }
 
-  async unschedule (name) {
-    return this.#timekeeper.unschedule(name)
+  async unschedule (name, key) {
+    return this.#timekeeper.unschedule(name, key)
   }
 
-  async getSchedules () {
-    return this.#timekeeper.getSchedules()
+  async getSchedules (options) {
+    return this.#timekeeper.getSchedules(options)
   }
 
   // Pub/Sub
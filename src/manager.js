@@ -1,3 +1,4 @@
+const assert = require('node:assert')
 const EventEmitter = require('node:events')
 const { randomUUID } = require('node:crypto')
 const { serializeError } = require('serialize-error')
@@ -5,7 +6,8 @@ const { v4: uuidv4 } = require('uuid')
 const plans = require('./plans')
 const Attorney = require('./attorney')
 const Worker = require('./worker')
-const { delay, resolveWithinSeconds } = require('./tools')
+const adapters = require('./adapters')
+const { delay, resolveWithinDeadline } = require('./tools')
 
 const events = {
   error: 'error',
@@ -14,9 +16,29 @@ const events = {
   stop: 'stop',
   wip: 'wip',
   insert: 'insert',
-  monitor: 'monitor'
+  monitor: 'monitor',
+  progress: 'progress',
+  queuePaused: 'queue-paused',
+  queueResumed: 'queue-resumed'
 }
 
+// mirrors the batchSize limit enforced by Attorney
+const MAX_FETCH_SIZE = 1000
+
+const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60
+
+const DEFAULT_RETRY_LIMIT = 2
+
+// each round of concurrent first sends of a key leaves at least one of them done
+const DEBOUNCE_ATTEMPTS = 5
+
+// state changes that can release or break jobs waiting on the changed jobs
+const RESOLVING_ACTIONS = ['complete', 'fail', 'cancel']
+
+const JOB_RESULT_KEYS = ['id', 'result', 'error']
+
+const DEPENDENCY_FAILED_OUTPUT = JSON.stringify({ message: 'A job this job depends on failed or was cancelled' })
+
 class Manager extends EventEmitter {
   constructor (db, config) {
     super()
@@ -27,16 +49,46 @@ class Manager extends EventEmitter {
     this.events = events
     this.wipTs = Date.now()
     this.workers = new Map()
+    this.controllers = new Map()
+    this.skipLocked = config.skipLocked
 
     this.nextJobCommand = plans.fetchNextJob(config.schema)
+    this.activateJobsCommand = plans.activateJobs(config.schema)
+    this.claimJobsCommand = plans.claimJobs(config.schema)
+    this.getClaimedJobsCommand = plans.getClaimedJobs(config.schema)
+    this.getServerVersionCommand = plans.getServerVersion(config.schema)
     this.insertJobCommand = plans.insertJob(config.schema)
-    this.insertJobsCommand = plans.insertJobs(config.schema)
     this.completeJobsCommand = plans.completeJobs(config.schema)
     this.cancelJobsCommand = plans.cancelJobs(config.schema)
     this.resumeJobsCommand = plans.resumeJobs(config.schema)
     this.deleteJobsCommand = plans.deleteJobs(config.schema)
     this.retryJobsCommand = plans.retryJobs(config.schema)
     this.failJobsByIdCommand = plans.failJobsById(config.schema)
+    this.retryOrFailJobsByIdCommand = plans.retryOrFailJobsById(config.schema)
+    this.lockJobsCommand = plans.lockJobs(config.schema)
+    this.deadLetterJobsCommand = plans.deadLetterJobs(config.schema)
+    this.touchJobsCommand = plans.touchJobs(config.schema)
+    this.getPendingSingletonCommand = plans.getPendingSingleton(config.schema)
+    this.debounceJobCommand = plans.debounceJob(config.schema)
+    this.claimIdempotencyKeyCommand = plans.claimIdempotencyKey(config.schema)
+    this.getIdempotencyKeyCommand = plans.getIdempotencyKey(config.schema)
+    this.releaseIdempotencyKeyCommand = plans.releaseIdempotencyKey(config.schema)
+    this.insertDependenciesCommand = plans.insertDependencies(config.schema)
+    this.getDependentsCommand = plans.getDependents(config.schema)
+    this.waitJobsCommand = plans.waitJobs(config.schema)
+    this.releaseJobsCommand = plans.releaseJobs(config.schema)
+    this.deleteDependenciesCommand = plans.deleteDependencies(config.schema)
+    this.getFlowDependenciesCommand = plans.getFlowDependencies(config.schema)
+    this.getJobsByIdCommand = plans.getJobsById(config.schema)
+    this.suspendJobsCommand = plans.suspendJobs(config.schema)
+    this.getJobChildrenCommand = plans.getJobChildren(config.schema)
+    this.setJobProgressCommand = plans.setJobProgress(config.schema)
+    this.getActiveJobsCommand = plans.getActiveJobs(config.schema)
+    this.insertHistoryCommand = plans.insertHistory(config.schema)
+    this.getJobHistoryCommand = plans.getJobHistory(config.schema)
+    this.getJobStatesCommand = plans.getJobStates(config.schema)
+    this.getDeadLettersCommand = plans.getDeadLetters(config.schema)
+    this.completeReplayedJobCommand = plans.completeReplayedJob(config.schema)
     this.getJobByIdCommand = plans.getJobById(config.schema)
     this.getArchivedJobByIdCommand = plans.getArchivedJobById(config.schema)
     this.getQueuesCommand = plans.getQueues(config.schema)
@@ -46,6 +98,10 @@ class Manager extends EventEmitter {
     this.deleteQueueCommand = plans.deleteQueue(config.schema)
     this.updateQueueCommand = plans.updateQueue(config.schema)
     this.createQueueCommand = plans.createQueue(config.schema)
+    this.setQueuePausedCommand = plans.setQueuePaused(config.schema)
+    this.getQueueFetchSettingsCommand = plans.getQueueFetchSettings(config.schema)
+    this.lockQueueFetchCommand = plans.lockQueueFetch(config.schema)
+    this.consumeQueueRateCommand = plans.consumeQueueRate(config.schema)
     this.clearStorageCommand = plans.clearStorage(config.schema)
     this.getQueuesForEventCommand = plans.getQueuesForEvent(config.schema)
     this.subscribeCommand = plans.subscribe(config.schema)
@@ -59,6 +115,7 @@ class Manager extends EventEmitter {
       this.retry,
       this.deleteJob,
       this.fail,
+      this.touch,
       this.fetch,
       this.work,
       this.offWork,
@@ -78,8 +135,16 @@ class Manager extends EventEmitter {
       this.getQueueSize,
       this.getQueue,
       this.getQueues,
+      this.pauseQueue,
+      this.resumeQueue,
       this.clearStorage,
-      this.getJobById
+      this.getJobById,
+      this.replayDeadLetters,
+      this.flow,
+      this.getFlow,
+      this.progress,
+      this.getActiveJobs,
+      this.getJobHistory
     ]
   }
 
@@ -91,40 +156,188 @@ class Manager extends EventEmitter {
       name: sending.name,
       data: sending.data,
       priority: sending.options.priority || 0,
-      retryLimit: sending.options.retryLimit || this.config.retryLimit || 2,
-      retryDelay: sending.options.retryDelay || this.config.retryDelay || 0,
-      retryBackoff: sending.options.retryBackoff || this.config.retryBackoff || false,
+      // null defers to the queue's or the constructor's retry settings
+      retryLimit: sending.options.retryLimit ?? null,
+      retryDelay: sending.options.retryDelay ?? null,
+      retryBackoff: sending.options.retryBackoff ?? null,
       startAfter: sending.options.startAfter || new Date(),
       expireInSeconds: sending.options.expireInSeconds || this.config.expireInSeconds || 900,
       keepUntil: sending.options.keepUntil || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
       singletonKey: sending.options.singletonKey || null,
       singletonOn: sending.options.singletonSeconds ? new Date(Math.floor(Date.now() / (sending.options.singletonSeconds * 1000)) * sending.options.singletonSeconds * 1000) : null,
       deadLetter: sending.options.deadLetter || null,
-      policy: sending.options.policy || null
+      policy: sending.options.policy || null,
+      group: sending.options.group || null,
+      orderingKey: sending.options.orderingKey || null,
+      dependsOn: sending.options.dependsOn || null,
+      onParentFailure: sending.options.onParentFailure || plans.DEPENDENCY_FAILURE_POLICIES.fail
     }
 
-    const values = [
+    const values = this.getJobValues(job)
+
+    if (sending.options.idempotencyKey) {
+      return this.sendIdempotent(job, values, sending.options)
+    }
+
+    // dependencies and history are written in the same transaction as the job
+    const rowCount = await this.withTransaction(this.getDb(options), tx => this.insertJob(tx, job, values))
+
+    // rejected by the queue policy
+    if (!rowCount) {
+      return null
+    }
+
+    this.emit(events.insert, job)
+
+    return job.id
+  }
+
+  // Values for insertJob. Retry settings missing on the job fall back to its
+  // queue, then to the constructor options, then to the defaults
+  getJobValues (job) {
+    return [
       job.id,
       job.name,
       job.priority,
       JSON.stringify(job.data),
-      job.retryLimit,
-      job.retryDelay,
-      job.retryBackoff,
-      job.startAfter,
-      job.singletonKey,
-      job.singletonOn,
-      job.expireInSeconds,
-      job.keepUntil,
-      job.deadLetter,
-      job.policy
+      job.retryLimit ?? null,
+      this.config.retryLimit ?? DEFAULT_RETRY_LIMIT,
+      job.retryDelay ?? null,
+      this.config.retryDelay ?? 0,
+      job.retryBackoff ?? null,
+      this.config.retryBackoff ?? false,
+      job.startAfter ?? null,
+      job.singletonKey ?? null,
+      job.singletonOn ?? null,
+      job.expireInSeconds ?? null,
+      job.keepUntil ?? null,
+      job.deadLetter ?? null,
+      job.policy ?? null,
+      job.group ?? null,
+      job.orderingKey ?? null,
+      job.name
     ]
+  }
 
-    await this.db.executeSql(this.insertJobCommand, values)
-    
-    this.emit(events.insert, job)
-    
-    return job.id
+  // Resolves to 0 when the queue policy rejects the job, any other error is thrown
+  async insertJob (db, job, values) {
+    try {
+      await db.executeSql(this.insertJobCommand, values)
+    } catch (err) {
+      if (plans.isPolicyConflict(err)) {
+        return 0
+      }
+
+      throw err
+    }
+
+    await this.recordHistory(db, [job.id])
+
+    if (job.dependsOn) {
+      await this.addDependencies(db, job)
+    }
+
+    return 1
+  }
+
+  // The jobs depended on are locked, so none of them can finish before this
+  // job's dependency rows are visible to the transaction finishing it
+  async addDependencies (db, job) {
+    const dependsOn = [...new Set(job.dependsOn)]
+    const { rows } = await db.executeSql(this.lockJobsCommand(dependsOn.length), dependsOn)
+
+    const missing = dependsOn.filter(id => !rows.some(i => i.id === id))
+
+    if (missing.length) {
+      throw new Error(`dependsOn job(s) not found: ${missing.join(', ')}`)
+    }
+
+    const values = dependsOn.flatMap(id => [job.id, id, job.onParentFailure])
+    await db.executeSql(this.insertDependenciesCommand(dependsOn.length), values)
+
+    if (rows.every(i => i.state === plans.JOB_STATES.completed)) {
+      return
+    }
+
+    await db.executeSql(this.waitJobsCommand(1), [job.id])
+    await this.recordHistory(db, [job.id])
+
+    // a dependency that already failed settles the job right away
+    await this.resolveDependents(db, dependsOn)
+  }
+
+  // Releases waiting jobs whose dependencies all completed (or all finished,
+  // with the continue policy), and fails or cancels those with a failed or
+  // cancelled dependency, which cascades on
+  async resolveDependents (db, ids) {
+    const { rows } = await db.executeSql(this.getDependentsCommand(ids.length), ids)
+
+    const { cancel, continue: proceed } = plans.DEPENDENCY_FAILURE_POLICIES
+
+    const isReady = i => i.ready || (i.onFailure === proceed && i.finished)
+    const ready = rows.filter(isReady).map(i => i.id)
+    const broken = rows.filter(i => !isReady(i) && i.broken && i.onFailure !== proceed)
+    const cancelling = broken.filter(i => i.onFailure === cancel).map(i => i.id)
+    const failing = broken.filter(i => i.onFailure !== cancel).map(i => i.id)
+
+    if (ready.length) {
+      const blocked = await this.updateWithinPolicy(ready, some => db.executeSql(this.releaseJobsCommand(some.length), some))
+      const released = ready.filter(id => !blocked.includes(id))
+
+      if (released.length) {
+        await this.recordHistory(db, released)
+      }
+
+      // a released job its queue policy rejects is cancelled, like a rejected send
+      cancelling.push(...blocked)
+    }
+
+    if (cancelling.length) {
+      await this.transitionJobs(db, 'cancel', cancelling, {}, allowed =>
+        db.executeSql(this.cancelJobsCommand(allowed.length), allowed)
+      )
+    }
+
+    if (failing.length) {
+      await this.failJobs(db, failing, DEPENDENCY_FAILED_OUTPUT)
+    }
+  }
+
+  // Resolves to { id, created, state, output } instead of an id. A key sent again
+  // before idempotencyTtl runs out returns the job it created the first time
+  async sendIdempotent (job, values, options) {
+    const { idempotencyKey, idempotencyTtl = DEFAULT_IDEMPOTENCY_TTL } = options
+
+    return this.withTransaction(this.getDb(options), async tx => {
+      await tx.executeSql(this.claimIdempotencyKeyCommand, [job.name, idempotencyKey, job.id, idempotencyTtl])
+
+      const { rows: [{ jobId }] } = await tx.executeSql(this.getIdempotencyKeyCommand, [job.name, idempotencyKey])
+
+      if (jobId !== job.id) {
+        const existing = await this.getJobById(job.name, jobId, { db: tx, includeArchive: true })
+        const { completed, failed, cancelled } = plans.JOB_STATES
+        const finished = existing && [completed, failed, cancelled].includes(existing.state)
+
+        return {
+          id: jobId,
+          created: false,
+          state: existing ? existing.state : null,
+          output: finished ? existing.output : null
+        }
+      }
+
+      const rowCount = await this.insertJob(tx, job, values)
+
+      // rejected by the queue policy, so the key must not point at it
+      if (!rowCount) {
+        await tx.executeSql(this.releaseIdempotencyKeyCommand, [job.name, idempotencyKey, job.id])
+        return null
+      }
+
+      this.emit(events.insert, job)
+
+      return { id: job.id, created: true, state: plans.JOB_STATES.created, output: null }
+    })
   }
 
   async sendAfter (name, data, options, after) {
@@ -132,146 +345,560 @@ class Manager extends EventEmitter {
     return this.send(name, data, { ...options, startAfter })
   }
 
-  async sendDebounced (name, data, options, key) {
+  // Debounce keeps one pending job per key: each send replaces its data and
+  // pushes start_after to singletonSeconds from now
+  async sendDebounced (name, data, options = {}, key) {
     const singletonKey = key || `debounce_${name}`
     const singletonSeconds = options.singletonSeconds || 60
-    return this.send(name, data, { ...options, singletonKey, singletonSeconds })
+
+    const db = this.getDb(options)
+
+    const debounce = async tx => {
+      // a concurrent send may win the insert, so look again for its job once
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const startAfter = new Date(Date.now() + singletonSeconds * 1000)
+        const { rows } = await tx.executeSql(this.getPendingSingletonCommand, [name, singletonKey])
+
+        if (rows.length) {
+          await tx.executeSql(this.debounceJobCommand, [JSON.stringify(data || {}), startAfter, rows[0].id])
+          return { id: rows[0].id, status: 'updated' }
+        }
+
+        const id = await this.send(name, data, { ...options, db: tx, singletonKey, singletonSeconds: undefined, startAfter })
+
+        if (id) {
+          return { id, status: 'created' }
+        }
+      }
+
+      return { id: null, status: 'dropped' }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.withTransaction(db, debounce)
+      } catch (err) {
+        // concurrent first sends of a key gap lock the missing job, so their
+        // inserts deadlock. A caller's transaction is theirs to run again
+        if (!plans.isDeadlock(err) || db !== this.db || attempt === DEBOUNCE_ATTEMPTS) {
+          throw err
+        }
+      }
+    }
   }
 
-  async sendThrottled (name, data, options, key) {
+  // Throttle keeps the first send of each singletonSeconds slot and drops the rest
+  async sendThrottled (name, data, options = {}, key) {
     const singletonKey = key || `throttle_${name}`
     const singletonSeconds = options.singletonSeconds || 60
-    return this.send(name, data, { ...options, singletonKey, singletonSeconds })
+    const id = await this.send(name, data, { ...options, singletonKey, singletonSeconds })
+
+    return id ? { id, status: 'created' } : { id: null, status: 'dropped' }
   }
 
-  async insert (jobs) {
+  async insert (jobs, options = {}) {
     if (!Array.isArray(jobs)) {
       throw new Error('jobs must be an array')
     }
 
-    const values = jobs.map(job => [
-      job.name,
-      job.priority || 0,
-      JSON.stringify(job.data || {}),
-      'created',
-      job.retryLimit || 2,
-      job.retryDelay || 0,
-      job.retryBackoff || false,
-      job.startAfter || new Date(),
-      job.singletonKey || null,
-      job.singletonOn || null,
-      job.expireInSeconds || 900,
-      job.keepUntil || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
-      job.deadLetter || null,
-      job.policy || null
-    ])
-
-    await this.db.executeSql(this.insertJobsCommand, [values])
+    // each job is sent like send() does, skipping those the queue policy rejects
+    await this.withTransaction(this.getDb(options), async tx => {
+      for (const item of jobs) {
+        const job = {
+          ...item,
+          id: item.id || uuidv4(),
+          priority: item.priority || 0,
+          data: item.data || {},
+          expireInSeconds: item.expireInSeconds || this.config.expireInSeconds || 900,
+          onParentFailure: item.onParentFailure || plans.DEPENDENCY_FAILURE_POLICIES.fail
+        }
+
+        await this.insertJob(tx, job, this.getJobValues(job))
+      }
+    })
   }
 
   async fetch (name, options = {}) {
     Attorney.checkFetchArgs(name, options)
-    const db = options.db || this.db
-    const nextJobSql = this.nextJobCommand({ ...options })
-
-    let result
+    const db = this.getDb(options)
+    const fetchOptions = {
+      batchSize: options.batchSize || 1,
+      includeMetadata: options.includeMetadata || false,
+      workerId: options.workerId || null,
+      claimToken: options.claimToken || null
+    }
 
     try {
-      result = await db.executeSql(nextJobSql, [name, options.batchSize || 1])
+      const { rows: [queue] } = await db.executeSql(this.getQueueFetchSettingsCommand, [name])
+
+      if (queue && (queue.rateLimitMax || queue.groupConcurrency)) {
+        return await this.withTransaction(db, tx => this.fetchLocked(tx, name, fetchOptions))
+      }
+
+      // a caller-supplied db may not be in a transaction, which SKIP LOCKED
+      // needs to hold its row locks, while a claim is a single atomic UPDATE
+      if (!options.db && await this.supportsSkipLocked()) {
+        return await this.withTransaction(db, tx => this.fetchSkipLocked(tx, name, fetchOptions))
+      }
+
+      return await this.fetchClaimed(db, name, fetchOptions)
     } catch (err) {
       // Handle MySQL-specific errors
-      if (err.code === 'ER_LOCK_WAIT_TIMEOUT') {
+      if (err.code === 'ER_LOCK_WAIT_TIMEOUT' || err.code === 'ER_LOCK_DEADLOCK') {
         return []
       }
       throw err
     }
+  }
+
+  // The queue row stays locked until the transaction ends, so fetchers of the
+  // queue take turns. That keeps a rate limited queue to max jobs per window and
+  // the active count of each group from changing under a grouped fetch
+  async fetchLocked (db, name, options) {
+    // the settings may have changed since they were read
+    const { rows: [queue = {}] } = await db.executeSql(this.lockQueueFetchCommand, [name])
+    const { rateLimitMax, rateLimitUsed, groupConcurrency } = queue
+
+    const batchSize = rateLimitMax ? Math.min(options.batchSize, rateLimitMax - rateLimitUsed) : options.batchSize
+
+    if (batchSize <= 0) {
+      return []
+    }
+
+    const fetchOptions = { ...options, batchSize, groupConcurrency }
+
+    let jobs
+
+    if (groupConcurrency) {
+      jobs = await this.fetchGrouped(db, name, fetchOptions)
+    } else if (await this.supportsSkipLocked()) {
+      jobs = await this.fetchSkipLocked(db, name, fetchOptions)
+    } else {
+      jobs = await this.fetchClaimed(db, name, fetchOptions)
+    }
+
+    if (jobs.length && rateLimitMax) {
+      await db.executeSql(this.consumeQueueRateCommand, [jobs.length, jobs.length, name])
+    }
+
+    return jobs
+  }
+
+  async fetchSkipLocked (db, name, options) {
+    const { rows } = await db.executeSql(this.nextJobCommand(options), [name])
+    return this.activateJobs(db, rows, options)
+  }
+
+  async fetchGrouped (db, name, options) {
+    const { rows } = await db.executeSql(this.nextJobCommand(options), [name, name])
+    return this.activateJobs(db, rows, options)
+  }
+
+  async activateJobs (db, rows, options) {
+    if (!rows.length) {
+      return []
+    }
+
+    const token = options.claimToken || randomUUID()
+    const ids = rows.map(job => job.id)
 
-    if (result?.rows?.length) {
-      // Update jobs to active state
-      const ids = result.rows.map(job => job.id)
-      const updateSql = `
-        UPDATE \`${this.config.schema}\`.\`job\` 
-        SET \`state\` = 'active', \`started_on\` = NOW()
-        WHERE \`id\` IN (${ids.map(() => '?').join(',')})
-      `
-      await db.executeSql(updateSql, ids)
+    await db.executeSql(this.activateJobsCommand(ids.length), [token, ...ids])
+
+    return this.getClaimed(db, token, options)
+  }
+
+  async fetchClaimed (db, name, options) {
+    const token = options.claimToken || randomUUID()
+
+    const { rowCount } = await db.executeSql(this.claimJobsCommand(options), [token, name, name])
+
+    if (!rowCount) {
+      return []
     }
 
-    return result?.rows || []
+    return this.getClaimed(db, token, options)
   }
 
-  async complete (id, data) {
+  // jobs held back by a queue policy are not stamped with the token
+  async getClaimed (db, token, options) {
+    const { rows } = await db.executeSql(this.getClaimedJobsCommand(options), [token])
+
+    if (rows.length) {
+      await this.recordHistory(db, rows.map(job => job.id), options.workerId)
+    }
+
+    return rows
+  }
+
+  async supportsSkipLocked () {
+    if (this.skipLocked === undefined) {
+      const { rows } = await this.db.executeSql(this.getServerVersionCommand)
+      this.skipLocked = hasSkipLocked(rows[0].version)
+    }
+
+    return this.skipLocked
+  }
+
+  // options.db is the caller's connection or transaction, see adapters.js.
+  // Statements on it are not wrapped in a transaction of their own
+  getDb (options = {}) {
+    return options.db ? adapters.toDb(options.db) : this.db
+  }
+
+  async withTransaction (db, callback) {
+    if (db === this.db) {
+      return this.db.transaction(callback)
+    }
+
+    return callback(db)
+  }
+
+  // Every state change returns [{ id, updated, previousState }] in the order of the given ids.
+  // options.strict throws and changes nothing when any job is not in a state the action allows.
+  async complete (id, data, options = {}) {
     const ids = Array.isArray(id) ? id : [id]
     const output = data ? JSON.stringify(data) : null
-    const sql = `
-      UPDATE \`${this.config.schema}\`.\`job\` 
-      SET \`state\` = 'completed', 
-          \`completed_on\` = NOW(),
-          \`output\` = ?
-      WHERE \`id\` IN (${ids.map(() => '?').join(',')})
-    `
-    await this.db.executeSql(sql, [output, ...ids])
+
+    return this.withTransaction(this.getDb(options), tx => this.transitionJobs(tx, 'complete', ids, options, allowed =>
+      tx.executeSql(this.completeJobsCommand(allowed.length), [output, ...allowed])
+    ))
   }
 
-  async cancel (id) {
+  async cancel (id, options = {}) {
     const ids = Array.isArray(id) ? id : [id]
-    const sql = `
-      UPDATE \`${this.config.schema}\`.\`job\` 
-      SET \`state\` = 'cancelled', 
-          \`completed_on\` = NOW()
-      WHERE \`id\` IN (${ids.map(() => '?').join(',')})
-    `
-    await this.db.executeSql(sql, ids)
+
+    const results = await this.withTransaction(this.getDb(options), tx => this.transitionJobs(tx, 'cancel', ids, options, allowed =>
+      tx.executeSql(this.cancelJobsCommand(allowed.length), allowed)
+    ))
+
+    // handlers running in this process hear about it right away, others on their next state check
+    for (const { id, updated } of results) {
+      const controller = this.controllers.get(id)
+
+      if (updated && controller) {
+        controller.abort(new Error('Job was cancelled'))
+      }
+    }
+
+    return results
   }
 
-  async resume (id) {
+  async resume (id, options = {}) {
     const ids = Array.isArray(id) ? id : [id]
-    const sql = `
-      UPDATE \`${this.config.schema}\`.\`job\` 
-      SET \`state\` = 'created', 
-          \`completed_on\` = NULL,
-          \`started_on\` = NULL
-      WHERE \`id\` IN (${ids.map(() => '?').join(',')})
-    `
-    await this.db.executeSql(sql, ids)
+
+    return this.withTransaction(this.getDb(options), tx => this.transitionJobs(tx, 'resume', ids, options, allowed =>
+      tx.executeSql(this.resumeJobsCommand(allowed.length), allowed)
+    ))
   }
 
-  async retry (id) {
+  async retry (id, options = {}) {
     const ids = Array.isArray(id) ? id : [id]
-    const sql = `
-      UPDATE \`${this.config.schema}\`.\`job\` 
-      SET \`state\` = 'retry', 
-          \`retry_count\` = \`retry_count\` + 1,
-          \`start_after\` = CASE 
-            WHEN \`retry_backoff\` = 0 THEN DATE_ADD(NOW(), INTERVAL \`retry_delay\` SECOND)
-            ELSE DATE_ADD(NOW(), INTERVAL (\`retry_delay\` * POW(2, \`retry_count\`)) SECOND)
-          END,
-          \`completed_on\` = NULL
-      WHERE \`id\` IN (${ids.map(() => '?').join(',')})
-    `
-    await this.db.executeSql(sql, ids)
+
+    return this.withTransaction(this.getDb(options), tx => this.transitionJobs(tx, 'retry', ids, options, allowed =>
+      tx.executeSql(this.retryJobsCommand(allowed.length), allowed)
+    ))
   }
 
-  async deleteJob (id) {
+  // Rows are locked first so previousState is what the update actually saw
+  async transitionJobs (db, action, ids, options, update) {
+    const { rows } = await db.executeSql(this.lockJobsCommand(ids.length), ids)
+
+    // a worker settling the jobs it fetched only touches those still active under
+    // its claim, not ones that expired, were re-fetched or were changed elsewhere
+    const from = options.claimToken ? [plans.JOB_STATES.active] : plans.JOB_TRANSITIONS[action]
+
+    const results = ids.map(id => {
+      const job = rows.find(i => i.id === id)
+      const previousState = job ? job.state : null
+      const claimed = !options.claimToken || (job && job.claimToken === options.claimToken)
+
+      return { id, updated: from.includes(previousState) && claimed, previousState }
+    })
+
+    const rejected = results.filter(i => !i.updated)
+
+    if (options.strict && rejected.length) {
+      const list = rejected.map(i => `${i.id} (${i.previousState || 'not found'})`).join(', ')
+      const error = new Error(`Cannot ${action} job(s): ${list}`)
+      error.results = results
+      throw error
+    }
+
+    let allowed = results.filter(i => i.updated).map(i => i.id)
+
+    if (allowed.length) {
+      const blocked = await this.updateWithinPolicy(allowed, update)
+
+      if (blocked.length) {
+        const list = blocked.map(id => `${id} (blocked by queue policy)`).join(', ')
+
+        if (options.strict) {
+          const error = new Error(`Cannot ${action} job(s): ${list}`)
+          error.results = results
+          throw error
+        }
+
+        results.filter(i => blocked.includes(i.id)).forEach(i => { i.updated = false })
+        allowed = allowed.filter(id => !blocked.includes(id))
+      }
+    }
+
+    if (allowed.length) {
+      await this.recordHistory(db, allowed, options.workerId)
+
+      if (RESOLVING_ACTIONS.includes(action)) {
+        await this.resolveDependents(db, allowed)
+      }
+    }
+
+    return results
+  }
+
+  // Moving jobs back into a state their queue policy restricts (see policy_key)
+  // fails as a whole when one of them collides with a job already holding its
+  // key. The jobs are then moved one at a time, resolving to the ids blocked
+  async updateWithinPolicy (ids, update) {
+    try {
+      await update(ids)
+      return []
+    } catch (err) {
+      if (!plans.isPolicyConflict(err)) {
+        throw err
+      }
+    }
+
+    if (ids.length === 1) {
+      return ids
+    }
+
+    const blocked = []
+
+    for (const id of ids) {
+      blocked.push(...await this.updateWithinPolicy([id], update))
+    }
+
+    return blocked
+  }
+
+  async deleteJob (id, options = {}) {
     const ids = Array.isArray(id) ? id : [id]
     const sql = `
       DELETE FROM \`${this.config.schema}\`.\`job\` 
       WHERE \`id\` IN (${ids.map(() => '?').join(',')})
     `
-    await this.db.executeSql(sql, ids)
+
+    // jobs waiting on a deleted job would otherwise wait forever
+    await this.withTransaction(this.getDb(options), async tx => {
+      await tx.executeSql(sql, ids)
+      await tx.executeSql(this.deleteDependenciesCommand(ids.length), ids)
+      await this.resolveDependents(tx, ids)
+    })
+  }
+
+  // Writes a job_history row for each job as it is now, after a state change
+  async recordHistory (db, ids, workerId = null) {
+    await db.executeSql(this.insertHistoryCommand(ids.length), [workerId, ...ids])
   }
 
-  async fail (id, data) {
+  // Every state change of a job, oldest first, with the attempt it belongs to,
+  // the worker that made it and the error output of failed attempts
+  async getJobHistory (id, options = {}) {
+    const { rows } = await this.getDb(options).executeSql(this.getJobHistoryCommand, [id])
+    return rows
+  }
+
+  // Only active jobs record progress, so a late report cannot overwrite a finished job
+  async progress (id, value) {
+    assert(value !== undefined, 'progress requires a value')
+
+    const { rowCount } = await this.db.executeSql(this.setJobProgressCommand, [JSON.stringify(value), id])
+
+    if (!rowCount) {
+      return false
+    }
+
+    this.emit(events.progress, { id, progress: value })
+
+    return true
+  }
+
+  async getActiveJobs (options = {}) {
+    const { name, limit = 100 } = options
+
+    if (name !== undefined) {
+      Attorney.assertQueueName(name)
+    }
+
+    assert(Number.isInteger(limit) && limit > 0, 'limit must be a positive integer')
+
+    const { rows } = await this.db.executeSql(this.getActiveJobsCommand({ name, limit }), name ? [name] : [])
+
+    return rows
+  }
+
+  // Parks active jobs in waiting until the children they spawned finish, then
+  // they are delivered again with job.children
+  async suspend (ids, output, childIds, options = {}) {
+    return this.withTransaction(this.db, async tx => {
+      // a child finishing in another transaction still sees its parent active
+      // and releases nothing, so it has to commit before the parent waits
+      await tx.executeSql(this.lockJobsCommand(childIds.length), childIds)
+      await tx.executeSql(this.suspendJobsCommand(ids.length), [output, ...ids, options.claimToken])
+      await this.recordHistory(tx, ids, options.workerId)
+
+      // children that already finished would never release their parent
+      await this.resolveDependents(tx, childIds)
+    })
+  }
+
+  async spawn (parentId, name, data, options = {}) {
+    return this.withTransaction(this.getDb(options), async tx => {
+      const result = await this.send(name, data, { ...options, db: tx })
+
+      if (!result) {
+        return null
+      }
+
+      const id = getJobId(result)
+      await tx.executeSql(this.insertDependenciesCommand(1), [parentId, id, plans.DEPENDENCY_FAILURE_POLICIES.continue])
+
+      return id
+    })
+  }
+
+  // Inserts a tree of jobs in one transaction. Each job waits for its children,
+  // so the leaves run first and the root last. Resolves to the tree with ids.
+  async flow (node, options = {}) {
+    return this.withTransaction(this.getDb(options), tx => this.insertFlow(tx, node))
+  }
+
+  async insertFlow (tx, node) {
+    const { name, data, options = {}, children = [] } = node
+
+    assert(Array.isArray(children), 'children must be an array')
+
+    const inserted = []
+
+    for (const child of children) {
+      inserted.push(await this.insertFlow(tx, child))
+    }
+
+    const dependsOn = inserted.length ? inserted.map(i => i.id) : undefined
+    const result = await this.send(name, data, { ...options, db: tx, dependsOn })
+
+    if (!result) {
+      throw new Error(`flow job for ${name} was rejected by its queue policy`)
+    }
+
+    return { id: getJobId(result), name, children: inserted }
+  }
+
+  // Resolves to the root job with the jobs it depends on nested in children
+  async getFlow (rootId, options = {}) {
+    const db = this.getDb(options)
+    const { rows: edges } = await db.executeSql(this.getFlowDependenciesCommand, [rootId])
+
+    const ids = [...new Set([rootId, ...edges.map(i => i.dependsOn)])]
+    const { rows: jobs } = await db.executeSql(this.getJobsByIdCommand(ids.length), ids)
+
+    const build = (id) => {
+      const job = jobs.find(i => i.id === id)
+
+      if (!job) {
+        return null
+      }
+
+      const children = edges.filter(i => i.jobId === id).map(i => build(i.dependsOn)).filter(Boolean)
+
+      return { ...job, children }
+    }
+
+    return build(rootId)
+  }
+
+  // options.retry moves jobs back to retry until their retry_limit is exhausted
+  async fail (id, data, options = {}) {
     const ids = Array.isArray(id) ? id : [id]
     const output = data ? JSON.stringify(data) : JSON.stringify({ message: 'Job failed' })
-    const sql = `
-      UPDATE \`${this.config.schema}\`.\`job\` 
-      SET \`state\` = 'failed', 
-          \`completed_on\` = NOW(),
-          \`output\` = ?
-      WHERE \`id\` IN (${ids.map(() => '?').join(',')})
-    `
-    await this.db.executeSql(sql, [output, ...ids])
+    return this.withTransaction(this.getDb(options), tx => this.failJobs(tx, ids, output, options))
+  }
+
+  // Jobs landing in failed are copied to their dead letter queue in the same transaction.
+  // A retry blocked by the queue policy, because another job with the same key
+  // is already queued, fails the job instead
+  async failJobs (db, ids, output, options = {}) {
+    return this.transitionJobs(db, 'fail', ids, options, async allowed => {
+      let failing = allowed
+
+      if (options.retry) {
+        failing = await this.updateWithinPolicy(allowed, some => db.executeSql(this.retryOrFailJobsByIdCommand(some.length), [output, ...some]))
+      }
+
+      if (failing.length) {
+        await db.executeSql(this.failJobsByIdCommand(failing.length), [output, ...failing])
+      }
+
+      // copies get their ids here so their creation is recorded like any other job's
+      const copies = allowed.map(id => [uuidv4(), id])
+      const defaults = [this.config.retryLimit ?? DEFAULT_RETRY_LIMIT, this.config.retryDelay ?? 0, this.config.retryBackoff ?? false]
+
+      await db.executeSql(this.deadLetterJobsCommand(copies.length), [...defaults, ...copies.flat()])
+      await this.recordHistory(db, copies.map(([copyId]) => copyId))
+    })
+  }
+
+  // Extends the lease of active jobs by seconds from now, or by their own expireInSeconds
+  async touch (id, seconds) {
+    const ids = Array.isArray(id) ? id : [id]
+
+    if (seconds !== undefined) {
+      assert(Number.isInteger(seconds) && seconds > 0, 'seconds must be a positive integer')
+    }
+
+    const result = await this.db.executeSql(this.touchJobsCommand(ids.length), [seconds ?? null, ...ids])
+
+    return result.rowCount
+  }
+
+  async replayDeadLetters (name, options = {}) {
+    Attorney.assertQueueName(name)
+
+    const { limit, filter } = options
+
+    if (limit !== undefined) {
+      assert(Number.isInteger(limit) && limit > 0, 'limit must be a positive integer')
+    }
+
+    if (filter !== undefined) {
+      assert(typeof filter === 'function', 'filter must be a function')
+    }
+
+    return this.withTransaction(this.getDb(options), async tx => {
+      // a filter is applied in js, so the limit can only be pushed down without one
+      const { rows } = await tx.executeSql(this.getDeadLettersCommand({ limit: filter ? null : limit }), [name])
+
+      const jobs = (filter ? rows.filter(filter) : rows).slice(0, limit)
+      const replayed = []
+
+      for (const job of jobs) {
+        const replayId = uuidv4()
+
+        const replay = { id: replayId, name: job.originName, priority: job.priority, data: job.data }
+        const values = this.getJobValues(replay)
+
+        // rejected by the queue policy, the dead letter stays for a later replay
+        if (!await this.insertJob(tx, replay, values)) {
+          continue
+        }
+
+        await tx.executeSql(this.completeReplayedJobCommand, [JSON.stringify({ replayedAs: replayId }), job.id])
+        await this.recordHistory(tx, [job.id])
+
+        replayed.push({ id: job.id, originId: job.originId, name: job.originName, replayId })
+      }
+
+      return replayed
+    })
   }
 
   async work (name, ...args) {
@@ -280,33 +907,236 @@ class Manager extends EventEmitter {
     const id = randomUUID({ disableEntropyCache: true })
     const pollingInterval = options.pollingInterval || this.config.pollingInterval || 2000
     const batchSize = options.batchSize || 1
+    const teamSize = options.teamSize || 1
+    const teamConcurrency = options.teamConcurrency || 1
     const includeMetadata = options.includeMetadata || false
     const priority = options.priority || 0
+    const heartbeatSeconds = options.heartbeatSeconds || null
 
-    const fetch = () => this.fetch(name, { batchSize, includeMetadata, priority })
+    // the token each running job was claimed with, so the worker only settles
+    // jobs that are still its own
+    const claims = new Map()
 
-    const onFetch = async (jobs) => {
+    // count covers a batch for every free concurrency slot of the poller
+    const fetch = async (count) => {
+      const claimToken = randomUUID()
+      const jobs = await this.fetch(name, { batchSize: Math.min(count, MAX_FETCH_SIZE), includeMetadata, priority, workerId: id, claimToken })
+
+      for (const job of jobs) {
+        claims.set(job.id, claimToken)
+      }
+
+      return jobs
+    }
+
+    const onFetch = async (jobs, workerSignal) => {
       if (!jobs.length) {
         return
       }
 
       this.emitWip(name)
 
+      // a batch comes from a single fetch
+      const claimToken = claims.get(jobs[0].id)
+      const settling = { workerId: id, claimToken }
+
       const maxExpiration = jobs.reduce((acc, i) => Math.max(acc, i.expireInSeconds), 0)
-      const jobIds = jobs.map(job => job.id)
 
-      try {
-        const result = await resolveWithinSeconds(callback(jobs), maxExpiration)
-        
-        if (result && typeof result === 'object' && result.failed) {
-          await this.fail(jobIds, result.failed)
+      const settled = new Set()
+      const pending = []
+
+      // a job is settled once, either by the callback or by the batch outcome
+      const settle = (job, action) => {
+        if (settled.has(job.id)) {
+          return Promise.resolve()
+        }
+
+        settled.add(job.id)
+
+        const promise = action()
+        pending.push(promise.catch(err => this.emit(events.error, err)))
+        return promise
+      }
+
+      // children spawned by each job in this run
+      const spawned = new Map(jobs.map(job => [job.id, []]))
+
+      // a job that spawned children waits for them instead of completing
+      const finish = async (ids, result) => {
+        const suspending = ids.filter(id => spawned.get(id).length)
+        const completing = ids.filter(id => !spawned.get(id).length)
+
+        if (suspending.length) {
+          const output = result ? JSON.stringify(result) : null
+          await this.suspend(suspending, output, suspending.flatMap(id => spawned.get(id)), settling)
+        }
+
+        if (completing.length) {
+          await this.complete(completing, result, settling)
+        }
+      }
+
+      const { rows: children } = await this.db.executeSql(this.getJobChildrenCommand(jobs.length), jobs.map(job => job.id))
+
+      for (const job of jobs) {
+        job.children = children.filter(i => i.parentId === job.id).map(({ parentId, ...child }) => child)
+
+        job.spawn = async (name, data, options) => {
+          assert(!settled.has(job.id), 'cannot spawn children from a settled job')
+
+          const id = await this.spawn(job.id, name, data, options)
+
+          if (id) {
+            spawned.get(job.id).push(id)
+          }
+
+          return id
+        }
+
+        job.progress = (value) => this.progress(job.id, value)
+
+        job.done = (result) => settle(job, () => finish([job.id], result))
+        job.fail = (error) => settle(job, () => this.fail(job.id, toOutput(error), { ...settling, retry: true }))
+      }
+
+      const unsettled = () => jobs.filter(job => !settled.has(job.id)).map(job => job.id)
+
+      // job.signal fires on cancellation, expiration or worker shutdown
+      const abort = (ids, reason) => {
+        for (const id of ids) {
+          const controller = this.controllers.get(id)
+
+          if (controller) {
+            controller.abort(reason)
+          }
+        }
+      }
+
+      for (const job of jobs) {
+        const controller = new AbortController()
+        this.controllers.set(job.id, controller)
+        job.signal = controller.signal
+      }
+
+      const onWorkerAbort = () => abort(unsettled(), workerSignal.reason)
+
+      if (workerSignal) {
+        if (workerSignal.aborted) {
+          onWorkerAbort()
         } else {
-          await this.complete(jobIds, result)
+          workerSignal.addEventListener('abort', onWorkerAbort, { once: true })
+        }
+      }
+
+      // picks up cancellations and expirations made by other processes
+      const watch = setInterval(() => {
+        const remaining = unsettled()
+
+        if (!remaining.length) {
+          return
+        }
+
+        this.db.executeSql(this.getJobStatesCommand(remaining.length), remaining)
+          .then(({ rows }) => {
+            for (const id of remaining) {
+              const row = rows.find(i => i.id === id)
+
+              if (!row || row.state !== plans.JOB_STATES.active) {
+                abort([id], new Error(row ? `Job is ${row.state}` : 'Job was deleted'))
+              }
+            }
+          })
+          .catch(err => this.emit(events.error, err))
+      }, pollingInterval)
+
+      watch.unref()
+
+      const deadline = resolveWithinDeadline(Promise.resolve().then(() => callback(jobs)), maxExpiration)
+
+      // a touched job moves the local deadline along with its lease
+      for (const job of jobs) {
+        job.touch = async (seconds) => {
+          if (settled.has(job.id)) {
+            return false
+          }
+
+          const touched = await this.touch(job.id, seconds)
+
+          if (touched) {
+            deadline.extend(seconds || job.expireInSeconds)
+          }
+
+          return touched > 0
+        }
+      }
+
+      const heartbeat = heartbeatSeconds && setInterval(() => {
+        const remaining = unsettled()
+
+        if (!remaining.length) {
+          return
+        }
+
+        this.touch(remaining)
+          .then(() => deadline.extend(maxExpiration))
+          .catch(err => this.emit(events.error, err))
+      }, heartbeatSeconds * 1000)
+
+      if (heartbeat) {
+        heartbeat.unref()
+      }
+
+      try {
+        const result = await deadline.promise
+        const jobResults = getJobResults(jobs, result)
+
+        if (jobResults) {
+          for (const item of jobResults) {
+            const job = jobs.find(i => i.id === item.id)
+
+            if (item.error) {
+              job.fail(item.error)
+            } else {
+              job.done(item.result)
+            }
+          }
+        }
+
+        const remaining = unsettled()
+
+        if (remaining.length) {
+          if (jobResults) {
+            await finish(remaining)
+          } else if (result && typeof result === 'object' && result.failed) {
+            await this.fail(remaining, result.failed, { ...settling, retry: true })
+          } else {
+            await finish(remaining, result)
+          }
         }
       } catch (err) {
-        const serializedError = serializeError(err)
-        await this.fail(jobIds, serializedError)
+        const remaining = unsettled()
+
+        abort(remaining, err)
+
+        if (remaining.length) {
+          await this.fail(remaining, serializeError(err), { ...settling, retry: true })
+        }
+
         this.emit(events.error, err)
+      } finally {
+        clearInterval(heartbeat)
+        clearInterval(watch)
+
+        if (workerSignal) {
+          workerSignal.removeEventListener('abort', onWorkerAbort)
+        }
+
+        await Promise.all(pending)
+
+        for (const job of jobs) {
+          this.controllers.delete(job.id)
+          claims.delete(job.id)
+        }
       }
     }
 
@@ -314,14 +1144,17 @@ class Manager extends EventEmitter {
       this.emit(events.error, err)
     }
 
-    const worker = new Worker({ 
-      id, 
-      name, 
-      options, 
-      interval: pollingInterval, 
-      fetch, 
-      onFetch, 
-      onError 
+    const worker = new Worker({
+      id,
+      name,
+      options,
+      interval: pollingInterval,
+      teamSize,
+      teamConcurrency,
+      batchSize,
+      fetch,
+      onFetch,
+      onError
     })
 
     this.workers.set(id, worker)
@@ -349,7 +1182,7 @@ class Manager extends EventEmitter {
   }
 
   async publish (event, data, options = {}) {
-    const queues = await this.db.executeSql(this.getQueuesForEventCommand, [event])
+    const queues = await this.getDb(options).executeSql(this.getQueuesForEventCommand, [event])
     
     for (const queue of queues.rows) {
       await this.send(queue.name, data, options)
@@ -372,12 +1205,16 @@ class Manager extends EventEmitter {
     const params = [
       name,
       options.policy || 'standard',
-      options.retryLimit || 3,
-      options.retryDelay || 0,
-      options.retryBackoff || false,
+      // jobs fall back to the constructor options for settings the queue leaves out
+      options.retryLimit ?? null,
+      options.retryDelay ?? null,
+      options.retryBackoff ?? null,
       options.expireInSeconds || 900,
       options.retentionMinutes || null,
-      options.deadLetter || null
+      options.deadLetter || null,
+      options.rateLimit ? options.rateLimit.max : null,
+      options.rateLimit ? options.rateLimit.durationSeconds : null,
+      options.groupConcurrency || null
     ]
     
     await this.db.executeSql(this.createQueueCommand, params)
@@ -389,12 +1226,19 @@ class Manager extends EventEmitter {
     
     const values = [
       options.policy || null,
-      options.retryLimit || null,
-      options.retryDelay || null,
-      options.retryBackoff || null,
+      options.retryLimit ?? null,
+      options.retryDelay ?? null,
+      options.retryBackoff ?? null,
       options.expireInSeconds || null,
       options.retentionMinutes || null,
       options.deadLetter || null,
+      // null removes a rate limit or group concurrency, so they cannot be coalesced like the others
+      options.rateLimit !== undefined,
+      options.rateLimit ? options.rateLimit.max : null,
+      options.rateLimit !== undefined,
+      options.rateLimit ? options.rateLimit.durationSeconds : null,
+      options.groupConcurrency !== undefined,
+      options.groupConcurrency || null,
       name
     ]
     
@@ -408,13 +1252,50 @@ class Manager extends EventEmitter {
 
   async getQueues () {
     const result = await this.db.executeSql(this.getQueuesCommand)
-    return result.rows
+    return result.rows.map(toQueue)
   }
 
   async getQueue (name) {
     Attorney.assertQueueName(name)
     const result = await this.db.executeSql(this.getQueueCommand, [name])
-    return result.rows[0] || null
+    return result.rows[0] ? toQueue(result.rows[0]) : null
+  }
+
+  // Workers keep polling a paused queue, they just get no jobs until it is resumed
+  async pauseQueue (name) {
+    return this.setQueuePaused(name, true)
+  }
+
+  async resumeQueue (name) {
+    return this.setQueuePaused(name, false)
+  }
+
+  // Resolves to whether the paused state changed
+  async setQueuePaused (name, paused) {
+    Attorney.assertQueueName(name)
+
+    const { rowCount } = await this.db.executeSql(this.setQueuePausedCommand, [paused, name, paused])
+
+    if (!rowCount) {
+      if (!await this.getQueue(name)) {
+        throw new Error(`Queue ${name} not found`)
+      }
+
+      return false
+    }
+
+    this.emit(paused ? events.queuePaused : events.queueResumed, { name })
+
+    if (!paused) {
+      // workers polling this queue in this process pick jobs up right away
+      for (const worker of this.workers.values()) {
+        if (worker.name === name) {
+          worker.notify()
+        }
+      }
+    }
+
+    return true
   }
 
   async getQueueSize (name) {
@@ -435,7 +1316,7 @@ class Manager extends EventEmitter {
   async getJobById (name, id, options = {}) {
     Attorney.assertQueueName(name)
 
-    const db = options.db || this.db
+    const db = this.getDb(options)
 
     const result1 = await db.executeSql(this.getJobByIdCommand, [name, id])
 
@@ -476,12 +1357,67 @@ class Manager extends EventEmitter {
     return data
   }
 
-  stop () {
-    for (const [id, worker] of this.workers) {
+  // stops polling and aborts running handlers, but leaves workers registered until they drain
+  stopWorkers () {
+    for (const worker of this.workers.values()) {
       worker.stop()
     }
+  }
+
+  stop () {
+    this.stopWorkers()
     this.workers.clear()
   }
 }
 
+// SKIP LOCKED arrived in MySQL 8.0.1 and MariaDB 10.6
+function hasSkipLocked (version) {
+  const [major, minor, patch] = String(version).split(/[.-]/).map(i => parseInt(i) || 0)
+
+  if (/mariadb/i.test(version)) {
+    return major > 10 || (major === 10 && minor >= 6)
+  }
+
+  return major > 8 || (major === 8 && (minor > 0 || patch >= 1))
+}
+
+// send() resolves to an object instead of the id when given an idempotencyKey
+function getJobId (result) {
+  return typeof result === 'object' ? result.id : result
+}
+
+// Shapes a queue row for getQueue(s). mysql2 returns BOOLEAN columns as 0 or 1
+function toQueue (row) {
+  const { rateLimitMax, rateLimitSeconds, ...queue } = row
+  const rateLimit = rateLimitMax ? { max: rateLimitMax, durationSeconds: rateLimitSeconds } : null
+
+  return { ...queue, paused: Boolean(queue.paused), rateLimit }
+}
+
+function toOutput (error) {
+  return error instanceof Error ? serializeError(error) : error
+}
+
+// Per-job results are a Map of job id to result, or an array of { id, result }
+// and { id, error } entries without other keys. Any other value, arrays of
+// other objects included, is the output of the whole batch
+function getJobResults (jobs, result) {
+  const ids = new Set(jobs.map(job => job.id))
+  const isJobResult = item => item && typeof item === 'object' && ids.has(item.id) &&
+    ('result' in item || 'error' in item) &&
+    Object.keys(item).every(key => JOB_RESULT_KEYS.includes(key))
+
+  if (result instanceof Map) {
+    return [...result]
+      .filter(([id]) => ids.has(id))
+      .map(([id, value]) => value instanceof Error ? { id, error: value } : { id, result: value })
+  }
+
+  if (Array.isArray(result) && result.length && result.every(isJobResult)) {
+    return result
+  }
+
+  return null
+}
+
 module.exports = Manager
@@ -1,7 +1,7 @@
 const assert = require('node:assert')
 const plans = require('./plans')
 
-const CURRENT_VERSION = 1
+const CURRENT_VERSION = 21
 
 const migrations = new Map()
 
@@ -17,6 +17,289 @@ migrations.set(1, {
   ]
 })
 
+// Version 2 - Claim tokens for atomic fetch on servers without SKIP LOCKED
+migrations.set(2, {
+  version: 2,
+  previous: 1,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` ADD COLUMN \`claim_token\` VARCHAR(36) NULL, ADD INDEX \`idx_job_claim_token\` (\`claim_token\`)`
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP INDEX \`idx_job_claim_token\`, DROP COLUMN \`claim_token\``,
+    (schema) => plans.setVersion(schema, 1)
+  ]
+})
+
+// Version 3 - Origin of dead lettered jobs
+migrations.set(3, {
+  version: 3,
+  previous: 2,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` ADD COLUMN \`origin_id\` VARCHAR(36) NULL, ADD COLUMN \`origin_name\` VARCHAR(255) NULL`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` ADD COLUMN \`origin_id\` VARCHAR(36) NULL, ADD COLUMN \`origin_name\` VARCHAR(255) NULL`
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP COLUMN \`origin_id\`, DROP COLUMN \`origin_name\``,
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` DROP COLUMN \`origin_id\`, DROP COLUMN \`origin_name\``,
+    (schema) => plans.setVersion(schema, 2)
+  ]
+})
+
+// Version 4 - Unique policy key enforcing short, singleton and stately queues
+migrations.set(4, {
+  version: 4,
+  previous: 3,
+  install: [
+    (schema) => plans.releasePolicyConflicts(schema),
+    (schema) => plans.addPolicyKey(schema)
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP INDEX \`idx_job_policy\`, DROP COLUMN \`policy_key\``,
+    (schema) => plans.setVersion(schema, 3)
+  ]
+})
+
+// Version 5 - Lease heartbeats for long running jobs
+migrations.set(5, {
+  version: 5,
+  previous: 4,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` ADD COLUMN \`lease_until\` TIMESTAMP NULL`
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP COLUMN \`lease_until\``,
+    (schema) => plans.setVersion(schema, 4)
+  ]
+})
+
+// Version 6 - Unique singleton keys for throttled and debounced sends
+migrations.set(6, {
+  version: 6,
+  previous: 5,
+  install: [
+    (schema) => plans.releaseDuplicateSingletons(schema),
+    (schema) => plans.addSingletonKeys(schema)
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP INDEX \`idx_job_singleton_pending\`, DROP COLUMN \`singleton_pending_key\`, DROP INDEX \`idx_job_singleton\`, ADD INDEX \`idx_job_singleton\` (\`name\`, \`singleton_key\`, \`singleton_on\`)`,
+    (schema) => plans.setVersion(schema, 5)
+  ]
+})
+
+// Version 7 - Idempotency keys for send
+migrations.set(7, {
+  version: 7,
+  previous: 6,
+  install: [
+    (schema) => plans.createTableIdempotency(schema)
+  ],
+  rollback: [
+    (schema) => `DROP TABLE IF EXISTS \`${schema}\`.\`idempotency\``,
+    (schema) => plans.setVersion(schema, 6)
+  ]
+})
+
+// Version 8 - Job dependencies and the waiting state
+migrations.set(8, {
+  version: 8,
+  previous: 7,
+  install: [
+    (schema) => plans.addWaitingState(schema),
+    (schema) => plans.createTableDependency(schema)
+  ],
+  rollback: [
+    (schema) => `DROP TABLE IF EXISTS \`${schema}\`.\`job_dependency\``,
+    (schema) => `UPDATE \`${schema}\`.\`job\` SET \`state\` = 'cancelled' WHERE \`state\` = 'waiting'`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` MODIFY COLUMN \`state\` ENUM('created', 'retry', 'active', 'completed', 'cancelled', 'failed') NOT NULL DEFAULT 'created'`,
+    (schema) => plans.setVersion(schema, 7)
+  ]
+})
+
+// Version 9 - Parents waiting on spawned children whatever their outcome
+migrations.set(9, {
+  version: 9,
+  previous: 8,
+  install: [
+    (schema) => plans.addContinuePolicy(schema)
+  ],
+  rollback: [
+    (schema) => `UPDATE \`${schema}\`.\`job_dependency\` SET \`on_failure\` = 'fail' WHERE \`on_failure\` = 'continue'`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`job_dependency\` MODIFY COLUMN \`on_failure\` ENUM('fail', 'cancel') NOT NULL DEFAULT 'fail'`,
+    (schema) => plans.setVersion(schema, 8)
+  ]
+})
+
+// Version 10 - Job progress
+migrations.set(10, {
+  version: 10,
+  previous: 9,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` ADD COLUMN \`progress\` JSON NULL`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` ADD COLUMN \`progress\` JSON NULL`
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP COLUMN \`progress\``,
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` DROP COLUMN \`progress\``,
+    (schema) => plans.setVersion(schema, 9)
+  ]
+})
+
+// Version 11 - Job history
+migrations.set(11, {
+  version: 11,
+  previous: 10,
+  install: [
+    (schema) => plans.createTableHistory(schema)
+  ],
+  rollback: [
+    (schema) => `DROP TABLE IF EXISTS \`${schema}\`.\`job_history\``,
+    (schema) => plans.setVersion(schema, 10)
+  ]
+})
+
+// Version 12 - Paused queues
+migrations.set(12, {
+  version: 12,
+  previous: 11,
+  install: [
+    (schema) => plans.addQueuePaused(schema)
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`queue\` DROP COLUMN \`paused\``,
+    (schema) => plans.setVersion(schema, 11)
+  ]
+})
+
+// Version 13 - Queue rate limits
+migrations.set(13, {
+  version: 13,
+  previous: 12,
+  install: [
+    (schema) => plans.addQueueRateLimit(schema)
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`queue\` DROP COLUMN \`rate_limit_max\`, DROP COLUMN \`rate_limit_seconds\`, DROP COLUMN \`rate_window_start\`, DROP COLUMN \`rate_window_count\``,
+    (schema) => plans.setVersion(schema, 12)
+  ]
+})
+
+// Version 14 - Job groups
+migrations.set(14, {
+  version: 14,
+  previous: 13,
+  install: [
+    (schema) => plans.addJobGroups(schema),
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` ADD COLUMN \`group_key\` VARCHAR(255) NULL`,
+    (schema) => plans.addQueueGroupConcurrency(schema)
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`queue\` DROP COLUMN \`group_concurrency\``,
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` DROP COLUMN \`group_key\``,
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP INDEX \`idx_job_group\`, DROP COLUMN \`group_key\``,
+    (schema) => plans.setVersion(schema, 13)
+  ]
+})
+
+// Version 15 - Ordering keys
+migrations.set(15, {
+  version: 15,
+  previous: 14,
+  install: [
+    (schema) => plans.addOrderingKeys(schema),
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` ADD COLUMN \`ordering_key\` VARCHAR(255) NULL`
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`archive\` DROP COLUMN \`ordering_key\``,
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP INDEX \`idx_job_ordering_key\`, DROP INDEX \`idx_job_seq\`, DROP COLUMN \`seq\`, DROP COLUMN \`ordering_key\``,
+    (schema) => plans.setVersion(schema, 14)
+  ]
+})
+
+// Version 16 - Named schedules. The foreign key on name needs an index of its
+// own while the primary key is swapped
+migrations.set(16, {
+  version: 16,
+  previous: 15,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` ADD COLUMN \`schedule_key\` VARCHAR(255) NOT NULL DEFAULT '${plans.DEFAULT_SCHEDULE_KEY}' AFTER \`name\`, ADD INDEX \`idx_schedule_name\` (\`name\`)`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP PRIMARY KEY, ADD PRIMARY KEY (\`name\`, \`schedule_key\`)`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP INDEX \`idx_schedule_name\``
+  ],
+  rollback: [
+    (schema) => `DELETE FROM \`${schema}\`.\`schedule\` WHERE \`schedule_key\` <> '${plans.DEFAULT_SCHEDULE_KEY}'`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` ADD INDEX \`idx_schedule_name\` (\`name\`)`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP PRIMARY KEY, ADD PRIMARY KEY (\`name\`)`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP INDEX \`idx_schedule_name\`, DROP COLUMN \`schedule_key\``,
+    (schema) => plans.setVersion(schema, 15)
+  ]
+})
+
+// Version 17 - Schedules remember the last cron slot they fired
+migrations.set(17, {
+  version: 17,
+  previous: 16,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` ADD COLUMN \`catch_up\` VARCHAR(10) NOT NULL DEFAULT '${plans.SCHEDULE_CATCH_UP.none}' AFTER \`options\`, ADD COLUMN \`last_slot\` TIMESTAMP(3) NULL AFTER \`catch_up\``
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP COLUMN \`last_slot\`, DROP COLUMN \`catch_up\``,
+    (schema) => plans.setVersion(schema, 16)
+  ]
+})
+
+// Version 18 - Interval schedules, which have no cron expression
+migrations.set(18, {
+  version: 18,
+  previous: 17,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` MODIFY \`cron\` VARCHAR(255) NULL, ADD COLUMN \`every_seconds\` INT NULL AFTER \`cron\``
+  ],
+  rollback: [
+    (schema) => `DELETE FROM \`${schema}\`.\`schedule\` WHERE \`cron\` IS NULL`,
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP COLUMN \`every_seconds\`, MODIFY \`cron\` VARCHAR(255) NOT NULL`,
+    (schema) => plans.setVersion(schema, 17)
+  ]
+})
+
+// Version 19 - Pausing schedules and recording their last run
+migrations.set(19, {
+  version: 19,
+  previous: 18,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` ADD COLUMN \`paused\` BOOLEAN NOT NULL DEFAULT FALSE AFTER \`last_slot\`, ADD COLUMN \`last_run_on\` TIMESTAMP(3) NULL AFTER \`paused\`, ADD COLUMN \`last_job_id\` VARCHAR(36) NULL AFTER \`last_run_on\``
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP COLUMN \`last_job_id\`, DROP COLUMN \`last_run_on\`, DROP COLUMN \`paused\``,
+    (schema) => plans.setVersion(schema, 18)
+  ]
+})
+
+// Version 20 - Schedule date windows and run limits
+migrations.set(20, {
+  version: 20,
+  previous: 19,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` ADD COLUMN \`start_on\` TIMESTAMP(3) NULL AFTER \`last_job_id\`, ADD COLUMN \`end_on\` TIMESTAMP(3) NULL AFTER \`start_on\`, ADD COLUMN \`run_limit\` INT NULL AFTER \`end_on\`, ADD COLUMN \`run_count\` INT NOT NULL DEFAULT 0 AFTER \`run_limit\``
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`schedule\` DROP COLUMN \`run_count\`, DROP COLUMN \`run_limit\`, DROP COLUMN \`end_on\`, DROP COLUMN \`start_on\``,
+    (schema) => plans.setVersion(schema, 19)
+  ]
+})
+
+// Version 21 - Finding the dead letter copy of a job
+migrations.set(21, {
+  version: 21,
+  previous: 20,
+  install: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` ADD INDEX \`idx_job_origin\` (\`origin_id\`)`
+  ],
+  rollback: [
+    (schema) => `ALTER TABLE \`${schema}\`.\`job\` DROP INDEX \`idx_job_origin\``,
+    (schema) => plans.setVersion(schema, 20)
+  ]
+})
+
 function getVersion () {
   return CURRENT_VERSION
 }
@@ -10,7 +10,27 @@ const JOB_STATES = Object.freeze({
   active: 'active',
   completed: 'completed',
   cancelled: 'cancelled',
-  failed: 'failed'
+  failed: 'failed',
+  waiting: 'waiting'
+})
+
+// What happens to a waiting job when a job it depends on fails or is cancelled
+const DEPENDENCY_FAILURE_POLICIES = Object.freeze({
+  fail: 'fail',
+  cancel: 'cancel',
+  // released once every dependency finished, whatever the outcome
+  continue: 'continue'
+})
+
+// States each manual action may move a job out of. completed is final, and
+// failed or cancelled jobs only come back through retry or resume. waiting
+// jobs are released by the jobs they depend on, but can be failed or cancelled.
+const JOB_TRANSITIONS = Object.freeze({
+  complete: [JOB_STATES.created, JOB_STATES.retry, JOB_STATES.active],
+  fail: [JOB_STATES.created, JOB_STATES.retry, JOB_STATES.active, JOB_STATES.waiting],
+  cancel: [JOB_STATES.created, JOB_STATES.retry, JOB_STATES.active, JOB_STATES.waiting],
+  resume: [JOB_STATES.cancelled],
+  retry: [JOB_STATES.created, JOB_STATES.retry, JOB_STATES.failed, JOB_STATES.cancelled]
 })
 
 const QUEUE_POLICIES = Object.freeze({
@@ -20,6 +40,17 @@ const QUEUE_POLICIES = Object.freeze({
   stately: 'stately'
 })
 
+// A queue has one schedule per key, schedules made without a key share this one
+const DEFAULT_SCHEDULE_KEY = 'default'
+
+// What a schedule does with the cron slots that passed while no instance was
+// running: skip them, send the most recent one, or send every one of them
+const SCHEDULE_CATCH_UP = Object.freeze({
+  none: 'none',
+  latest: 'latest',
+  all: 'all'
+})
+
 module.exports = {
   create,
   insertVersion,
@@ -27,15 +58,70 @@ module.exports = {
   setVersion,
   versionTableExists,
   fetchNextJob,
+  activateJobs,
+  claimJobs,
+  getClaimedJobs,
+  getServerVersion,
+  releasePolicyConflicts,
+  addPolicyKey,
+  isPolicyConflict,
+  isDeadlock,
+  releaseDuplicateSingletons,
+  addSingletonKeys,
+  getPendingSingleton,
+  createTableIdempotency,
+  addWaitingState,
+  createTableDependency,
+  insertDependencies,
+  getDependents,
+  waitJobs,
+  releaseJobs,
+  deleteDependencies,
+  addContinuePolicy,
+  suspendJobs,
+  setJobProgress,
+  getActiveJobs,
+  createTableHistory,
+  addQueuePaused,
+  setQueuePaused,
+  addQueueRateLimit,
+  getQueueFetchSettings,
+  lockQueueFetch,
+  consumeQueueRate,
+  addJobGroups,
+  addQueueGroupConcurrency,
+  addOrderingKeys,
+  DEFAULT_SCHEDULE_KEY,
+  SCHEDULE_CATCH_UP,
+  claimScheduleSlot,
+  setSchedulePaused,
+  recordScheduleRun,
+  insertHistory,
+  getJobHistory,
+  dropHistory,
+  getJobChildren,
+  getFlowDependencies,
+  getJobsById,
+  claimIdempotencyKey,
+  getIdempotencyKey,
+  releaseIdempotencyKey,
+  dropIdempotencyKeys,
+  debounceJob,
   completeJobs,
   cancelJobs,
   resumeJobs,
   deleteJobs,
   retryJobs,
   failJobsById,
-  failJobsByTimeout,
+  retryOrFailJobsById,
+  getExpiredJobs,
+  touchJobs,
+  getJobStates,
+  lockJobs,
+  deadLetterJobs,
+  getDeadLetters,
+  completeReplayedJob,
   insertJob,
-  insertJobs,
   getTime,
   getSchedules,
   schedule,
@@ -56,13 +142,14 @@ module.exports = {
   clearStorage,
   trySetMaintenanceTime,
   trySetMonitorTime,
-  trySetCronTime,
   locked,
   assertMigration,
   getArchivedJobById,
   getJobById,
   QUEUE_POLICIES,
   JOB_STATES,
+  JOB_TRANSITIONS,
+  DEPENDENCY_FAILURE_POLICIES,
   MIGRATE_RACE_MESSAGE,
   CREATE_RACE_MESSAGE,
   DEFAULT_SCHEMA
@@ -80,6 +167,9 @@ function create (schema, version) {
     createTableSubscription(schema),
     createTableJob(schema),
     createTableArchive(schema),
+    createTableIdempotency(schema),
+    createTableDependency(schema),
+    createTableHistory(schema),
     createIndexes(schema),
     createProcedures(schema),
     insertVersion(schema, version)
@@ -121,6 +211,9 @@ function createTableQueue (schema) {
       \`retention_minutes\` INT DEFAULT 20160,
       \`dead_letter\` VARCHAR(255) NULL,
       \`partition_name\` VARCHAR(255) NULL,
+      ${queuePausedColumn},
+      ${queueRateLimitColumns},
+      ${queueGroupConcurrencyColumn},
       \`created_on\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       \`updated_on\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       PRIMARY KEY (\`name\`),
@@ -129,17 +222,150 @@ function createTableQueue (schema) {
   `
 }
 
+const queuePausedColumn = '`paused` BOOLEAN NOT NULL DEFAULT FALSE'
+
+function addQueuePaused (schema) {
+  return `ALTER TABLE \`${schema}\`.\`queue\` ADD COLUMN ${queuePausedColumn}`
+}
+
+// Only flips the flag when it changes, so rowCount tells whether it did
+function setQueuePaused (schema) {
+  return `
+    UPDATE \`${schema}\`.\`queue\`
+    SET \`paused\` = ?
+    WHERE \`name\` = ?
+      AND \`paused\` <> ?
+  `
+}
+
+// A rate limited queue starts at most rate_limit_max jobs per fixed window of
+// rate_limit_seconds. The window and the jobs started in it are kept on the
+// queue row, which fetchers lock while they claim jobs
+const queueRateLimitColumns = `\`rate_limit_max\` INT NULL,
+      \`rate_limit_seconds\` INT NULL,
+      \`rate_window_start\` TIMESTAMP(3) NULL,
+      \`rate_window_count\` INT NOT NULL DEFAULT 0`
+
+function addQueueRateLimit (schema) {
+  return `ALTER TABLE \`${schema}\`.\`queue\` ADD COLUMN (${queueRateLimitColumns})`
+}
+
+const rateWindowExpired = `(\`rate_window_start\` IS NULL
+      OR \`rate_window_start\` <= DATE_SUB(NOW(3), INTERVAL \`rate_limit_seconds\` SECOND))`
+
+// Queues with a rate limit or a group concurrency are fetched one fetcher at a time
+function getQueueFetchSettings (schema) {
+  return `
+    SELECT
+      \`rate_limit_max\` as \`rateLimitMax\`,
+      \`group_concurrency\` as \`groupConcurrency\`
+    FROM \`${schema}\`.\`queue\`
+    WHERE \`name\` = ?
+  `
+}
+
+function lockQueueFetch (schema) {
+  return `
+    SELECT
+      \`rate_limit_max\` as \`rateLimitMax\`,
+      IF(${rateWindowExpired}, 0, \`rate_window_count\`) as \`rateLimitUsed\`,
+      \`group_concurrency\` as \`groupConcurrency\`
+    FROM \`${schema}\`.\`queue\`
+    WHERE \`name\` = ?
+    FOR UPDATE
+  `
+}
+
+// MySQL applies SET assignments left to right, so the count has to be decided
+// before the window moves
+function consumeQueueRate (schema) {
+  return `
+    UPDATE \`${schema}\`.\`queue\`
+    SET \`rate_window_count\` = IF(${rateWindowExpired}, ?, \`rate_window_count\` + ?),
+        \`rate_window_start\` = IF(${rateWindowExpired}, NOW(3), \`rate_window_start\`)
+    WHERE \`name\` = ?
+  `
+}
+
+// Caps the active jobs of each group_key of the queue, see fetchNextJob
+const queueGroupConcurrencyColumn = '`group_concurrency` INT NULL'
+
+function addJobGroups (schema) {
+  return `
+    ALTER TABLE \`${schema}\`.\`job\`
+      ADD COLUMN \`group_key\` VARCHAR(255) NULL,
+      ADD INDEX \`idx_job_group\` (\`name\`, \`state\`, \`group_key\`)
+  `
+}
+
+function addQueueGroupConcurrency (schema) {
+  return `ALTER TABLE \`${schema}\`.\`queue\` ADD COLUMN ${queueGroupConcurrencyColumn}`
+}
+
+// seq numbers jobs in insert order, created_on alone ties within a second
+const orderingKeyColumns = `\`ordering_key\` VARCHAR(255) NULL,
+      \`seq\` BIGINT NOT NULL AUTO_INCREMENT`
+
+const orderingKeyIndexes = `UNIQUE INDEX \`idx_job_seq\` (\`seq\`),
+      INDEX \`idx_job_ordering_key\` (\`name\`, \`ordering_key\`, \`state\`)`
+
+function addOrderingKeys (schema) {
+  return `
+    ALTER TABLE \`${schema}\`.\`job\`
+      ADD COLUMN ${orderingKeyColumns},
+      ADD ${orderingKeyIndexes}
+  `
+}
+
+// Jobs sharing an ordering_key run one at a time in insert order. A job waits
+// while another job of its key is active, is pending retry (the earliest retry
+// goes first), has failed without being dead lettered, or was created before it
+function orderingKeyReady (schema, job = `\`${schema}\`.\`job\``) {
+  return `(${job}.\`ordering_key\` IS NULL OR NOT EXISTS (
+          SELECT 1 FROM \`${schema}\`.\`job\` o
+          WHERE o.\`name\` = ${job}.\`name\`
+            AND o.\`ordering_key\` = ${job}.\`ordering_key\`
+            AND o.\`id\` <> ${job}.\`id\`
+            AND (
+              o.\`state\` = 'active'
+              OR (o.\`state\` = 'failed' AND o.\`dead_letter\` IS NULL)
+              OR (o.\`state\` = 'retry' AND (${job}.\`state\` = 'created' OR o.\`seq\` < ${job}.\`seq\`))
+              OR (o.\`state\` = 'created' AND ${job}.\`state\` = 'created' AND o.\`seq\` < ${job}.\`seq\`)
+            )
+        ))`
+}
+
+// Jobs of a paused queue stay queued for every fetcher in the cluster
+function queueNotPaused (schema, name = `\`${schema}\`.\`job\`.\`name\``) {
+  return `NOT EXISTS (
+          SELECT 1 FROM \`${schema}\`.\`queue\` q
+          WHERE q.\`name\` = ${name}
+            AND q.\`paused\` = TRUE
+        )`
+}
+
 function createTableSchedule (schema) {
   return `
     CREATE TABLE IF NOT EXISTS \`${schema}\`.\`schedule\` (
       \`name\` VARCHAR(255) NOT NULL,
-      \`cron\` VARCHAR(255) NOT NULL,
+      \`schedule_key\` VARCHAR(255) NOT NULL DEFAULT '${DEFAULT_SCHEDULE_KEY}',
+      \`cron\` VARCHAR(255) NULL,
+      \`every_seconds\` INT NULL,
       \`timezone\` VARCHAR(100) DEFAULT 'UTC',
       \`data\` JSON,
       \`options\` JSON,
+      \`catch_up\` VARCHAR(10) NOT NULL DEFAULT '${SCHEDULE_CATCH_UP.none}',
+      \`last_slot\` TIMESTAMP(3) NULL,
+      \`paused\` BOOLEAN NOT NULL DEFAULT FALSE,
+      \`last_run_on\` TIMESTAMP(3) NULL,
+      \`last_job_id\` VARCHAR(36) NULL,
+      \`start_on\` TIMESTAMP(3) NULL,
+      \`end_on\` TIMESTAMP(3) NULL,
+      \`run_limit\` INT NULL,
+      \`run_count\` INT NOT NULL DEFAULT 0,
       \`created_on\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       \`updated_on\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      PRIMARY KEY (\`name\`),
+      PRIMARY KEY (\`name\`, \`schedule_key\`),
       FOREIGN KEY (\`name\`) REFERENCES \`${schema}\`.\`queue\`(\`name\`) ON DELETE CASCADE
     ) ENGINE=InnoDB
   `
@@ -158,6 +384,13 @@ function createTableSubscription (schema) {
   `
 }
 
+// waiting is appended so existing ENUM values keep their positions
+const jobStateColumn = "`state` ENUM('created', 'retry', 'active', 'completed', 'cancelled', 'failed', 'waiting') NOT NULL DEFAULT 'created'"
+
+function addWaitingState (schema) {
+  return `ALTER TABLE \`${schema}\`.\`job\` MODIFY COLUMN ${jobStateColumn}`
+}
+
 function createTableJob (schema) {
   return `
     CREATE TABLE IF NOT EXISTS \`${schema}\`.\`job\` (
@@ -165,7 +398,7 @@ function createTableJob (schema) {
       \`name\` VARCHAR(255) NOT NULL,
       \`priority\` INT NOT NULL DEFAULT 0,
       \`data\` JSON,
-      \`state\` ENUM('created', 'retry', 'active', 'completed', 'cancelled', 'failed') NOT NULL DEFAULT 'created',
+      ${jobStateColumn},
       \`retry_limit\` INT NOT NULL DEFAULT 2,
       \`retry_count\` INT NOT NULL DEFAULT 0,
       \`retry_delay\` INT NOT NULL DEFAULT 0,
@@ -181,17 +414,441 @@ function createTableJob (schema) {
       \`output\` JSON,
       \`dead_letter\` VARCHAR(255) NULL,
       \`policy\` VARCHAR(50) NULL,
+      \`claim_token\` VARCHAR(36) NULL,
+      \`origin_id\` VARCHAR(36) NULL,
+      \`origin_name\` VARCHAR(255) NULL,
+      \`lease_until\` TIMESTAMP NULL,
+      \`progress\` JSON NULL,
+      \`group_key\` VARCHAR(255) NULL,
+      ${orderingKeyColumns},
+      ${policyKeyColumn},
+      ${singletonPendingKeyColumn},
       PRIMARY KEY (\`id\`),
+      UNIQUE INDEX \`idx_job_policy\` (\`policy_key\`),
+      UNIQUE INDEX \`idx_job_singleton_pending\` (\`singleton_pending_key\`),
       INDEX \`idx_job_name_state\` (\`name\`, \`state\`),
       INDEX \`idx_job_fetch\` (\`name\`, \`state\`, \`start_after\`, \`priority\`),
-      INDEX \`idx_job_singleton\` (\`name\`, \`singleton_key\`, \`singleton_on\`),
+      UNIQUE INDEX \`idx_job_singleton\` (\`name\`, \`singleton_key\`, \`singleton_on\`),
       INDEX \`idx_job_created_on\` (\`created_on\`),
       INDEX \`idx_job_completed_on\` (\`completed_on\`),
-      INDEX \`idx_job_keep_until\` (\`keep_until\`)
+      INDEX \`idx_job_keep_until\` (\`keep_until\`),
+      INDEX \`idx_job_claim_token\` (\`claim_token\`),
+      INDEX \`idx_job_group\` (\`name\`, \`state\`, \`group_key\`),
+      INDEX \`idx_job_origin\` (\`origin_id\`),
+      ${orderingKeyIndexes}
+    ) ENGINE=InnoDB
+  `
+}
+
+// Queue policies are enforced by a unique index over this key, which is only
+// set for the states a policy restricts:
+//   short: one created job, singleton: one active job,
+//   stately: one queued (created or retry) and one active job
+// per queue and singleton key. Rows outside those states have a NULL key.
+const policyRestricted = `(\`policy\` = 'short' AND \`state\` = 'created')
+            OR (\`policy\` = 'singleton' AND \`state\` = 'active')
+            OR (\`policy\` = 'stately' AND \`state\` IN ('created', 'retry', 'active'))`
+
+const policyKey = "CONCAT(IF(`state` = 'active', 'active', 'queued'), ':', `name`, ':', COALESCE(`singleton_key`, ''))"
+
+const policyKeyColumn = `\`policy_key\` VARCHAR(530) GENERATED ALWAYS AS (
+        CASE
+          WHEN ${policyRestricted}
+          THEN ${policyKey}
+        END
+      ) VIRTUAL`
+
+// Unique indexes a job collides with because of its queue's rules rather than
+// a bad value: the policy key and both singleton key indexes. Statements that
+// can hit them fail as a whole, and the manager decides what the job turns into
+const POLICY_INDEXES = ['idx_job_policy', 'idx_job_singleton_pending', 'idx_job_singleton']
+
+// Sequelize keeps the mysql2 error as original
+function isPolicyConflict (error) {
+  const { code, message = '' } = error.original || error
+  return code === 'ER_DUP_ENTRY' && POLICY_INDEXES.some(index => message.includes(`.${index}'`) || message.includes(`'${index}'`))
+}
+
+// InnoDB rolls back the whole transaction of a deadlock victim, which can run it again
+function isDeadlock (error) {
+  return (error.original || error).code === 'ER_LOCK_DEADLOCK'
+}
+
+// Jobs sent before policies were enforced may collide, the oldest keeps the
+// policy and the others carry on as standard jobs
+function releasePolicyConflicts (schema) {
+  return `
+    UPDATE \`${schema}\`.\`job\` j
+    JOIN (
+      SELECT \`id\`
+      FROM (
+        SELECT \`id\`, ROW_NUMBER() OVER (
+          PARTITION BY ${policyKey}
+          ORDER BY \`created_on\`, \`id\`
+        ) AS \`n\`
+        FROM \`${schema}\`.\`job\`
+        WHERE ${policyRestricted}
+      ) ranked
+      WHERE \`n\` > 1
+    ) duplicates ON duplicates.\`id\` = j.\`id\`
+    SET j.\`policy\` = NULL
+  `
+}
+
+function addPolicyKey (schema) {
+  return `
+    ALTER TABLE \`${schema}\`.\`job\`
+      ADD COLUMN ${policyKeyColumn},
+      ADD UNIQUE INDEX \`idx_job_policy\` (\`policy_key\`)
+  `
+}
+
+const onFailureColumn = "`on_failure` ENUM('fail', 'cancel', 'continue') NOT NULL DEFAULT 'fail'"
+
+function addContinuePolicy (schema) {
+  return `ALTER TABLE \`${schema}\`.\`job_dependency\` MODIFY COLUMN ${onFailureColumn}`
+}
+
+// job_id stays waiting until every depends_on job has completed
+function createTableDependency (schema) {
+  return `
+    CREATE TABLE IF NOT EXISTS \`${schema}\`.\`job_dependency\` (
+      \`job_id\` VARCHAR(36) NOT NULL,
+      \`depends_on\` VARCHAR(36) NOT NULL,
+      ${onFailureColumn},
+      PRIMARY KEY (\`job_id\`, \`depends_on\`),
+      INDEX \`idx_job_dependency_depends_on\` (\`depends_on\`)
+    ) ENGINE=InnoDB
+  `
+}
+
+function insertDependencies (schema) {
+  return function (count) {
+    return `
+      INSERT IGNORE INTO \`${schema}\`.\`job_dependency\` (\`job_id\`, \`depends_on\`, \`on_failure\`)
+      VALUES ${Array(count).fill('(?, ?, ?)').join(', ')}
+    `
+  }
+}
+
+// A missing dependency (deleted before it completed) counts as failed
+function getDependents (schema) {
+  return function (count) {
+    return `
+      SELECT d.\`job_id\` as \`id\`,
+        MAX(d.\`on_failure\`) as \`onFailure\`,
+        SUM(p.\`state\` = 'completed') = COUNT(*) as \`ready\`,
+        SUM(p.\`id\` IS NULL OR p.\`state\` IN ('failed', 'cancelled')) > 0 as \`broken\`,
+        SUM(p.\`id\` IS NULL OR p.\`state\` IN ('completed', 'failed', 'cancelled')) = COUNT(*) as \`finished\`
+      FROM \`${schema}\`.\`job_dependency\` d
+      JOIN \`${schema}\`.\`job\` c ON c.\`id\` = d.\`job_id\` AND c.\`state\` = 'waiting'
+      LEFT JOIN \`${schema}\`.\`job\` p ON p.\`id\` = d.\`depends_on\`
+      WHERE d.\`job_id\` IN (
+        SELECT \`job_id\`
+        FROM \`${schema}\`.\`job_dependency\`
+        WHERE \`depends_on\` IN (${placeholders(count)})
+      )
+      GROUP BY d.\`job_id\`
+    `
+  }
+}
+
+function setJobsState (schema, from, to) {
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = '${to}'
+      WHERE \`id\` IN (${placeholders(count)})
+        AND \`state\` = '${from}'
+    `
+  }
+}
+
+function waitJobs (schema) {
+  return setJobsState(schema, JOB_STATES.created, JOB_STATES.waiting)
+}
+
+function releaseJobs (schema) {
+  return setJobsState(schema, JOB_STATES.waiting, JOB_STATES.created)
+}
+
+// A handler that spawned children waits for them instead of completing, as
+// long as the job is still active under the claim the worker fetched it with
+function suspendJobs (schema) {
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = 'waiting',
+          \`output\` = ?,
+          \`lease_until\` = NULL
+      WHERE \`id\` IN (${placeholders(count)})
+        AND \`state\` = 'active'
+        AND \`claim_token\` = ?
+    `
+  }
+}
+
+function setJobProgress (schema) {
+  return `
+    UPDATE \`${schema}\`.\`job\`
+    SET \`progress\` = ?
+    WHERE \`id\` = ?
+      AND \`state\` = 'active'
+  `
+}
+
+function getActiveJobs (schema) {
+  return function (options = {}) {
+    const { name, limit } = options
+
+    return `
+      SELECT ${allJobColumns}
+      FROM \`${schema}\`.\`job\`
+      WHERE \`state\` = 'active'
+        ${name ? 'AND `name` = ?' : ''}
+      ORDER BY \`started_on\` ASC
+      LIMIT ${limit}
+    `
+  }
+}
+
+// Append-only log of state changes. A row is written after each transition from
+// the job row itself, so it records the state the job landed in
+function createTableHistory (schema) {
+  return `
+    CREATE TABLE IF NOT EXISTS \`${schema}\`.\`job_history\` (
+      \`id\` BIGINT NOT NULL AUTO_INCREMENT,
+      \`job_id\` VARCHAR(36) NOT NULL,
+      \`name\` VARCHAR(255) NOT NULL,
+      \`state\` VARCHAR(50) NOT NULL,
+      \`attempt\` INT NOT NULL,
+      \`worker_id\` VARCHAR(36) NULL,
+      \`output\` JSON NULL,
+      \`created_on\` TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (\`id\`),
+      INDEX \`idx_job_history_job_id\` (\`job_id\`)
     ) ENGINE=InnoDB
   `
 }
 
+// retry_count is bumped when a job moves to retry, so the attempt that just
+// failed is retry_count there and retry_count + 1 in every other state
+function insertHistory (schema) {
+  return function (count) {
+    return `
+      INSERT INTO \`${schema}\`.\`job_history\` (\`job_id\`, \`name\`, \`state\`, \`attempt\`, \`worker_id\`, \`output\`)
+      SELECT
+        \`id\`,
+        \`name\`,
+        \`state\`,
+        IF(\`state\` = 'retry', \`retry_count\`, \`retry_count\` + 1),
+        ?,
+        IF(\`state\` IN ('retry', 'failed'), \`output\`, NULL)
+      FROM \`${schema}\`.\`job\`
+      WHERE \`id\` IN (${placeholders(count)})
+    `
+  }
+}
+
+function getJobHistory (schema) {
+  return `
+    SELECT
+      \`id\`,
+      \`job_id\` as jobId,
+      \`name\`,
+      \`state\`,
+      \`attempt\`,
+      \`worker_id\` as workerId,
+      \`output\`,
+      \`created_on\` as createdOn
+    FROM \`${schema}\`.\`job_history\`
+    WHERE \`job_id\` = ?
+    ORDER BY \`id\` ASC
+  `
+}
+
+// History lives as long as its job, in the job or the archive table
+function dropHistory (schema) {
+  return `
+    DELETE h FROM \`${schema}\`.\`job_history\` h
+    WHERE NOT EXISTS (SELECT 1 FROM \`${schema}\`.\`job\` j WHERE j.\`id\` = h.\`job_id\`)
+      AND NOT EXISTS (SELECT 1 FROM \`${schema}\`.\`archive\` a WHERE a.\`id\` = h.\`job_id\`)
+  `
+}
+
+function getJobChildren (schema) {
+  return function (count) {
+    return `
+      SELECT d.\`job_id\` as \`parentId\`,
+        c.\`id\`,
+        c.\`name\`,
+        c.\`state\`,
+        c.\`output\`
+      FROM \`${schema}\`.\`job_dependency\` d
+      JOIN \`${schema}\`.\`job\` c ON c.\`id\` = d.\`depends_on\`
+      WHERE d.\`job_id\` IN (${placeholders(count)})
+    `
+  }
+}
+
+function deleteDependencies (schema) {
+  return function (count) {
+    return `
+      DELETE FROM \`${schema}\`.\`job_dependency\`
+      WHERE \`job_id\` IN (${placeholders(count)})
+    `
+  }
+}
+
+function getFlowDependencies (schema) {
+  return `
+    WITH RECURSIVE flow AS (
+      SELECT \`job_id\`, \`depends_on\`
+      FROM \`${schema}\`.\`job_dependency\`
+      WHERE \`job_id\` = ?
+      UNION
+      SELECT d.\`job_id\`, d.\`depends_on\`
+      FROM \`${schema}\`.\`job_dependency\` d
+      JOIN flow f ON d.\`job_id\` = f.\`depends_on\`
+    )
+    SELECT \`job_id\` as \`jobId\`, \`depends_on\` as \`dependsOn\`
+    FROM flow
+  `
+}
+
+function getJobsById (schema) {
+  return function (count) {
+    return `
+      SELECT ${allJobColumns}
+      FROM \`${schema}\`.\`job\`
+      WHERE \`id\` IN (${placeholders(count)})
+    `
+  }
+}
+
+// Maps a caller's idempotency key to the job it created until expires_on.
+// Not tied to the job row, so the key outlives archiving and deletion.
+function createTableIdempotency (schema) {
+  return `
+    CREATE TABLE IF NOT EXISTS \`${schema}\`.\`idempotency\` (
+      \`name\` VARCHAR(255) NOT NULL,
+      \`idempotency_key\` VARCHAR(255) NOT NULL,
+      \`job_id\` VARCHAR(36) NOT NULL,
+      \`created_on\` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      \`expires_on\` TIMESTAMP NOT NULL,
+      PRIMARY KEY (\`name\`, \`idempotency_key\`),
+      INDEX \`idx_idempotency_expires_on\` (\`expires_on\`)
+    ) ENGINE=InnoDB
+  `
+}
+
+// An expired key is taken over by the new job. MySQL applies SET assignments
+// left to right, so job_id has to be decided before expires_on moves
+function claimIdempotencyKey (schema) {
+  return `
+    INSERT INTO \`${schema}\`.\`idempotency\` (\`name\`, \`idempotency_key\`, \`job_id\`, \`expires_on\`)
+    VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+    ON DUPLICATE KEY UPDATE
+      \`job_id\` = IF(\`expires_on\` <= NOW(), VALUES(\`job_id\`), \`job_id\`),
+      \`created_on\` = IF(\`expires_on\` <= NOW(), NOW(), \`created_on\`),
+      \`expires_on\` = IF(\`expires_on\` <= NOW(), VALUES(\`expires_on\`), \`expires_on\`)
+  `
+}
+
+function getIdempotencyKey (schema) {
+  return `
+    SELECT \`job_id\` as \`jobId\`
+    FROM \`${schema}\`.\`idempotency\`
+    WHERE \`name\` = ?
+      AND \`idempotency_key\` = ?
+  `
+}
+
+function releaseIdempotencyKey (schema) {
+  return `
+    DELETE FROM \`${schema}\`.\`idempotency\`
+    WHERE \`name\` = ?
+      AND \`idempotency_key\` = ?
+      AND \`job_id\` = ?
+  `
+}
+
+function dropIdempotencyKeys (schema) {
+  return `
+    DELETE FROM \`${schema}\`.\`idempotency\`
+    WHERE \`expires_on\` < NOW()
+  `
+}
+
+// singletonKey is unique per queue in two ways. With singletonSeconds, the
+// (name, singleton_key, singleton_on) index allows one job per time slot,
+// whatever its state. Without it, this key allows one created and one retry
+// job per key on standard queues, the other policies enforce their own.
+const singletonPendingKeyColumn = `\`singleton_pending_key\` VARCHAR(520) GENERATED ALWAYS AS (
+        CASE
+          WHEN \`singleton_key\` IS NOT NULL
+            AND \`singleton_on\` IS NULL
+            AND COALESCE(\`policy\`, 'standard') = 'standard'
+            AND \`state\` IN ('created', 'retry')
+          THEN CONCAT(\`state\`, ':', \`name\`, ':', \`singleton_key\`)
+        END
+      ) VIRTUAL`
+
+// Jobs sent before singleton keys were enforced may collide, the oldest keeps its key
+function releaseDuplicateSingletons (schema) {
+  return `
+    UPDATE \`${schema}\`.\`job\` j
+    JOIN (
+      SELECT \`id\`
+      FROM (
+        SELECT \`id\`, ROW_NUMBER() OVER (
+          PARTITION BY \`name\`, \`singleton_key\`, \`singleton_on\`, IF(\`singleton_on\` IS NULL, \`state\`, NULL)
+          ORDER BY \`created_on\`, \`id\`
+        ) AS \`n\`
+        FROM \`${schema}\`.\`job\`
+        WHERE \`singleton_key\` IS NOT NULL
+          AND (\`singleton_on\` IS NOT NULL OR (COALESCE(\`policy\`, 'standard') = 'standard' AND \`state\` IN ('created', 'retry')))
+      ) ranked
+      WHERE \`n\` > 1
+    ) duplicates ON duplicates.\`id\` = j.\`id\`
+    SET j.\`singleton_key\` = NULL
+  `
+}
+
+function addSingletonKeys (schema) {
+  return `
+    ALTER TABLE \`${schema}\`.\`job\`
+      ADD COLUMN ${singletonPendingKeyColumn},
+      ADD UNIQUE INDEX \`idx_job_singleton_pending\` (\`singleton_pending_key\`),
+      DROP INDEX \`idx_job_singleton\`,
+      ADD UNIQUE INDEX \`idx_job_singleton\` (\`name\`, \`singleton_key\`, \`singleton_on\`)
+  `
+}
+
+function getPendingSingleton (schema) {
+  return `
+    SELECT \`id\`
+    FROM \`${schema}\`.\`job\`
+    WHERE \`name\` = ?
+      AND \`singleton_key\` = ?
+      AND \`singleton_on\` IS NULL
+      AND \`state\` IN ('created', 'retry')
+    ORDER BY \`created_on\`
+    LIMIT 1
+    FOR UPDATE
+  `
+}
+
+function debounceJob (schema) {
+  return `
+    UPDATE \`${schema}\`.\`job\`
+    SET \`data\` = ?,
+        \`start_after\` = ?
+    WHERE \`id\` = ?
+      AND \`state\` IN ('created', 'retry')
+  `
+}
+
 function createTableArchive (schema) {
   return `
     CREATE TABLE IF NOT EXISTS \`${schema}\`.\`archive\` (
@@ -215,6 +872,11 @@ function createTableArchive (schema) {
       \`output\` JSON,
       \`dead_letter\` VARCHAR(255) NULL,
       \`policy\` VARCHAR(50) NULL,
+      \`origin_id\` VARCHAR(36) NULL,
+      \`origin_name\` VARCHAR(255) NULL,
+      \`progress\` JSON NULL,
+      \`group_key\` VARCHAR(255) NULL,
+      \`ordering_key\` VARCHAR(255) NULL,
       \`archived_on\` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       PRIMARY KEY (\`id\`),
       INDEX \`idx_archive_name\` (\`name\`),
@@ -258,6 +920,11 @@ const allJobColumns = `${baseJobColumns},
   completed_on as completedOn,
   keep_until as keepUntil,
   dead_letter as deadLetter,
+  origin_id as originId,
+  origin_name as originName,
+  progress,
+  group_key as \`group\`,
+  ordering_key as orderingKey,
   output`
 
 function insertVersion (schema, version) {
@@ -276,51 +943,183 @@ function versionTableExists (schema) {
   return `SELECT 1 FROM information_schema.tables WHERE table_schema = '${schema}' AND table_name = 'version'`
 }
 
-// MySQL doesn't have SKIP LOCKED, so we use a different approach
+function placeholders (count) {
+  return Array(count).fill('?').join(',')
+}
+
+// Requires SKIP LOCKED (MySQL 8.0.1+, MariaDB 10.6+) and must run inside a
+// transaction so the row locks are held until the jobs are activated.
+// With groupConcurrency it takes the name of the queue twice and does not lock,
+// the caller holds the queue row lock instead (see fetchGroupedJobs)
 function fetchNextJob (schema) {
   return function (options = {}) {
-    const { batchSize = 1, includeMetadata = false } = options
-    
+    const { batchSize = 1, groupConcurrency } = options
+
+    if (groupConcurrency) {
+      return fetchGroupedJobs(schema, batchSize, groupConcurrency)
+    }
+
     return `
-      SELECT ${includeMetadata ? allJobColumns : baseJobColumns}
-      FROM \`${schema}\`.\`job\` 
-      WHERE \`name\` = ? 
+      SELECT \`id\`
+      FROM \`${schema}\`.\`job\`
+      WHERE \`name\` = ?
         AND \`state\` IN ('created', 'retry')
         AND \`start_after\` <= NOW()
+        AND ${queueNotPaused(schema)}
+        AND ${orderingKeyReady(schema)}
       ORDER BY \`priority\` DESC, \`created_on\` ASC
       LIMIT ${batchSize}
-      FOR UPDATE
+      FOR UPDATE SKIP LOCKED
     `
   }
 }
 
-function completeJobs (schema) {
+// Ranks the jobs of each group and skips those that would take a group past
+// groupConcurrency active jobs. Ordering by active plus rank takes one job from
+// every group before a second from any, starting with the least busy groups.
+// Jobs without a group_key rank as one more group that has no cap. Needs window
+// functions (MySQL 8.0+, MariaDB 10.2+)
+function fetchGroupedJobs (schema, batchSize, groupConcurrency) {
   return `
-    UPDATE \`${schema}\`.\`job\` 
-    SET \`state\` = 'completed', 
-        \`completed_on\` = NOW(),
-        \`output\` = ?
-    WHERE \`id\` IN (${Array(arguments.length - 1).fill('?').join(',')})
+    SELECT c.\`id\`
+    FROM (
+      SELECT
+        j.\`id\`,
+        j.\`group_key\`,
+        j.\`priority\`,
+        j.\`created_on\`,
+        ROW_NUMBER() OVER (PARTITION BY j.\`group_key\` ORDER BY j.\`priority\` DESC, j.\`created_on\` ASC) as \`group_rank\`,
+        COALESCE(a.\`active\`, 0) as \`group_active\`
+      FROM \`${schema}\`.\`job\` j
+      LEFT JOIN (
+        SELECT \`group_key\`, COUNT(*) as \`active\`
+        FROM \`${schema}\`.\`job\`
+        WHERE \`name\` = ?
+          AND \`state\` = 'active'
+          AND \`group_key\` IS NOT NULL
+        GROUP BY \`group_key\`
+      ) a ON a.\`group_key\` = j.\`group_key\`
+      WHERE j.\`name\` = ?
+        AND j.\`state\` IN ('created', 'retry')
+        AND j.\`start_after\` <= NOW()
+        AND ${queueNotPaused(schema, 'j.`name`')}
+        AND ${orderingKeyReady(schema, 'j')}
+    ) c
+    WHERE c.\`group_key\` IS NULL
+      OR c.\`group_active\` + c.\`group_rank\` <= ${groupConcurrency}
+    ORDER BY c.\`group_active\` + c.\`group_rank\` ASC, c.\`priority\` DESC, c.\`created_on\` ASC
+    LIMIT ${batchSize}
   `
 }
 
+// IGNORE leaves jobs queued when activating them would break a singleton or
+// stately policy (see policy_key). The state check covers grouped fetches,
+// which pick jobs without locking them
+function activateJobs (schema) {
+  return function (count) {
+    return `
+      UPDATE IGNORE \`${schema}\`.\`job\`
+      SET \`state\` = 'active',
+          \`started_on\` = NOW(),
+          \`lease_until\` = NULL,
+          \`claim_token\` = ?
+      WHERE \`id\` IN (${placeholders(count)})
+        AND \`state\` IN ('created', 'retry')
+    `
+  }
+}
+
+// Fallback for servers without SKIP LOCKED: a single UPDATE is atomic, so each
+// job can only be stamped with one fetcher's token. MySQL cannot read the table
+// an UPDATE changes in a subquery, so jobs with an ordering_key are checked in
+// a derived table, which DISTINCT keeps from being merged. Takes the name twice
+function claimJobs (schema) {
+  return function (options = {}) {
+    const { batchSize = 1 } = options
+
+    return `
+      UPDATE IGNORE \`${schema}\`.\`job\`
+      SET \`state\` = 'active',
+          \`started_on\` = NOW(),
+          \`lease_until\` = NULL,
+          \`claim_token\` = ?
+      WHERE \`name\` = ?
+        AND \`state\` IN ('created', 'retry')
+        AND \`start_after\` <= NOW()
+        AND ${queueNotPaused(schema)}
+        AND (\`ordering_key\` IS NULL OR \`id\` IN (
+          SELECT \`id\` FROM (
+            SELECT DISTINCT j.\`id\`
+            FROM \`${schema}\`.\`job\` j
+            WHERE j.\`name\` = ?
+              AND j.\`ordering_key\` IS NOT NULL
+              AND j.\`state\` IN ('created', 'retry')
+              AND ${orderingKeyReady(schema, 'j')}
+          ) ready
+        ))
+      ORDER BY \`priority\` DESC, \`created_on\` ASC
+      LIMIT ${batchSize}
+    `
+  }
+}
+
+function getClaimedJobs (schema) {
+  return function (options = {}) {
+    const { includeMetadata = false } = options
+
+    return `
+      SELECT ${includeMetadata ? allJobColumns : baseJobColumns}
+      FROM \`${schema}\`.\`job\`
+      WHERE \`claim_token\` = ?
+      ORDER BY \`priority\` DESC, \`created_on\` ASC
+    `
+  }
+}
+
+function getServerVersion (schema) {
+  return 'SELECT VERSION() as version'
+}
+
+function canTransitionFrom (action) {
+  return `\`state\` IN (${JOB_TRANSITIONS[action].map(state => `'${state}'`).join(', ')})`
+}
+
+function completeJobs (schema) {
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = 'completed',
+          \`completed_on\` = NOW(),
+          \`output\` = ?
+      WHERE \`id\` IN (${placeholders(count)})
+        AND ${canTransitionFrom('complete')}
+    `
+  }
+}
+
 function cancelJobs (schema) {
-  return `
-    UPDATE \`${schema}\`.\`job\` 
-    SET \`state\` = 'cancelled', 
-        \`completed_on\` = NOW()
-    WHERE \`id\` IN (${Array(arguments.length - 1).fill('?').join(',')})
-  `
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = 'cancelled',
+          \`completed_on\` = NOW()
+      WHERE \`id\` IN (${placeholders(count)})
+        AND ${canTransitionFrom('cancel')}
+    `
+  }
 }
 
 function resumeJobs (schema) {
-  return `
-    UPDATE \`${schema}\`.\`job\` 
-    SET \`state\` = 'created', 
-        \`completed_on\` = NULL,
-        \`started_on\` = NULL
-    WHERE \`id\` IN (${Array(arguments.length - 1).fill('?').join(',')})
-  `
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = 'created',
+          \`completed_on\` = NULL,
+          \`started_on\` = NULL
+      WHERE \`id\` IN (${placeholders(count)})
+        AND ${canTransitionFrom('resume')}
+    `
+  }
 }
 
 function deleteJobs (schema) {
@@ -331,40 +1130,182 @@ function deleteJobs (schema) {
 }
 
 function retryJobs (schema) {
-  return `
-    UPDATE \`${schema}\`.\`job\` 
-    SET \`state\` = 'retry', 
-        \`retry_count\` = \`retry_count\` + 1,
-        \`start_after\` = CASE 
-          WHEN \`retry_backoff\` = 0 THEN DATE_ADD(NOW(), INTERVAL \`retry_delay\` SECOND)
-          ELSE DATE_ADD(NOW(), INTERVAL (\`retry_delay\` * POW(2, \`retry_count\`)) SECOND)
-        END,
-        \`completed_on\` = NULL
-    WHERE \`id\` IN (${Array(arguments.length - 1).fill('?').join(',')})
-  `
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = 'retry',
+          \`retry_count\` = \`retry_count\` + 1,
+          \`start_after\` = CASE
+            WHEN \`retry_backoff\` = 0 THEN DATE_ADD(NOW(), INTERVAL \`retry_delay\` SECOND)
+            ELSE DATE_ADD(NOW(), INTERVAL (\`retry_delay\` * POW(2, \`retry_count\`)) SECOND)
+          END,
+          \`completed_on\` = NULL
+      WHERE \`id\` IN (${placeholders(count)})
+        AND ${canTransitionFrom('retry')}
+    `
+  }
 }
 
 function failJobsById (schema) {
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`state\` = 'failed',
+          \`completed_on\` = NOW(),
+          \`output\` = ?
+      WHERE \`id\` IN (${placeholders(count)})
+        AND ${canTransitionFrom('fail')}
+    `
+  }
+}
+
+// MySQL applies SET assignments left to right, so retry_count must be bumped last
+const retryOrFailAssignments = `
+  \`state\` = IF(\`retry_count\` < \`retry_limit\`, 'retry', 'failed'),
+  \`start_after\` = IF(\`retry_count\` < \`retry_limit\`,
+    CASE
+      WHEN \`retry_backoff\` = 0 THEN DATE_ADD(NOW(), INTERVAL \`retry_delay\` SECOND)
+      ELSE DATE_ADD(NOW(), INTERVAL (\`retry_delay\` * POW(2, \`retry_count\`)) SECOND)
+    END,
+    \`start_after\`),
+  \`started_on\` = IF(\`retry_count\` < \`retry_limit\`, NULL, \`started_on\`),
+  \`completed_on\` = IF(\`retry_count\` < \`retry_limit\`, NULL, NOW()),
+  \`retry_count\` = IF(\`retry_count\` < \`retry_limit\`, \`retry_count\` + 1, \`retry_count\`)`
+
+function retryOrFailJobsById (schema) {
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`output\` = ?,
+        ${retryOrFailAssignments}
+      WHERE \`id\` IN (${placeholders(count)})
+        AND ${canTransitionFrom('fail')}
+    `
+  }
+}
+
+// A heartbeat (touchJobs) replaces the lease computed from started_on
+function getExpiredJobs (schema) {
   return `
-    UPDATE \`${schema}\`.\`job\` 
-    SET \`state\` = 'failed', 
-        \`completed_on\` = NOW(),
-        \`output\` = ?
-    WHERE \`id\` IN (${Array(arguments.length - 1).fill('?').join(',')})
+    SELECT \`id\`
+    FROM \`${schema}\`.\`job\`
+    WHERE \`state\` = 'active'
+      AND COALESCE(\`lease_until\`, DATE_ADD(\`started_on\`, INTERVAL \`expire_in_seconds\` SECOND)) < NOW()
+    FOR UPDATE
   `
 }
 
-function failJobsByTimeout (schema) {
+function touchJobs (schema) {
+  return function (count) {
+    return `
+      UPDATE \`${schema}\`.\`job\`
+      SET \`lease_until\` = DATE_ADD(NOW(), INTERVAL COALESCE(?, \`expire_in_seconds\`) SECOND)
+      WHERE \`id\` IN (${placeholders(count)})
+        AND \`state\` = 'active'
+    `
+  }
+}
+
+function getJobStates (schema) {
+  return function (count) {
+    return `
+      SELECT \`id\`, \`state\`
+      FROM \`${schema}\`.\`job\`
+      WHERE \`id\` IN (${placeholders(count)})
+    `
+  }
+}
+
+function lockJobs (schema) {
+  return function (count) {
+    return `
+      SELECT \`id\`, \`name\`, \`state\`, \`claim_token\` as \`claimToken\`
+      FROM \`${schema}\`.\`job\`
+      WHERE \`id\` IN (${placeholders(count)})
+      FOR UPDATE
+    `
+  }
+}
+
+// Copies failed jobs into their dead letter queue, keeping the payload, the
+// last error output and a reference to the original job. A job that is retried
+// and fails again already has its copy. Takes the retry defaults, then a
+// (copy id, job id) pair per job
+function deadLetterJobs (schema) {
+  return function (count) {
+    const copies = Array(count).fill('SELECT ? AS `copy_id`, ? AS `job_id`').join(' UNION ALL ')
+
+    return `
+      INSERT INTO \`${schema}\`.\`job\` (
+        \`id\`,
+        \`name\`,
+        \`priority\`,
+        \`data\`,
+        \`state\`,
+        \`retry_limit\`,
+        \`retry_delay\`,
+        \`retry_backoff\`,
+        \`expire_in_seconds\`,
+        \`output\`,
+        \`origin_id\`,
+        \`origin_name\`
+      )
+      SELECT
+        c.\`copy_id\`,
+        j.\`dead_letter\`,
+        j.\`priority\`,
+        j.\`data\`,
+        'created',
+        COALESCE(q.\`retry_limit\`, ?),
+        COALESCE(q.\`retry_delay\`, ?),
+        COALESCE(q.\`retry_backoff\`, ?),
+        COALESCE(q.\`expire_seconds\`, 900),
+        j.\`output\`,
+        j.\`id\`,
+        j.\`name\`
+      FROM (${copies}) c
+      JOIN \`${schema}\`.\`job\` j ON j.\`id\` = c.\`job_id\`
+      LEFT JOIN \`${schema}\`.\`queue\` q ON q.\`name\` = j.\`dead_letter\`
+      WHERE j.\`state\` = 'failed'
+        AND j.\`dead_letter\` IS NOT NULL
+        AND j.\`dead_letter\` <> j.\`name\`
+        AND NOT EXISTS (
+          SELECT 1 FROM \`${schema}\`.\`job\` d WHERE d.\`origin_id\` = j.\`id\`
+        )
+    `
+  }
+}
+
+function getDeadLetters (schema) {
+  return function (options = {}) {
+    const { limit } = options
+
+    return `
+      SELECT ${allJobColumns}
+      FROM \`${schema}\`.\`job\`
+      WHERE \`name\` = ?
+        AND \`state\` IN ('created', 'retry')
+        AND \`origin_name\` IS NOT NULL
+      ORDER BY \`created_on\` ASC
+      ${limit ? `LIMIT ${limit}` : ''}
+      FOR UPDATE
+    `
+  }
+}
+
+function completeReplayedJob (schema) {
   return `
-    UPDATE \`${schema}\`.\`job\` 
-    SET \`state\` = 'failed', 
+    UPDATE \`${schema}\`.\`job\`
+    SET \`state\` = 'completed',
         \`completed_on\` = NOW(),
-        \`output\` = '{"value": {"message": "job failed by timeout in active state"}}'
-    WHERE \`state\` = 'active' 
-      AND \`started_on\` < DATE_SUB(NOW(), INTERVAL \`expire_in_seconds\` SECOND)
+        \`output\` = ?
+    WHERE \`id\` = ?
   `
 }
 
+// Retry, dead letter and policy settings not given on the job fall back to the
+// queue, retry settings then to the value after each of them. A job rejected
+// by the queue policy fails with a policy conflict
 function insertJob (schema) {
   return `
     INSERT INTO \`${schema}\`.\`job\` (
@@ -382,45 +1323,30 @@ function insertJob (schema) {
       \`expire_in_seconds\`,
       \`keep_until\`,
       \`dead_letter\`,
-      \`policy\`
-    ) VALUES (
+      \`policy\`,
+      \`group_key\`,
+      \`ordering_key\`
+    )
+    SELECT
       COALESCE(?, UUID()),
       ?,
       ?,
       ?,
       'created',
-      COALESCE(?, 2),
-      COALESCE(?, 0),
-      COALESCE(?, 0),
+      COALESCE(?, q.\`retry_limit\`, ?),
+      COALESCE(?, q.\`retry_delay\`, ?),
+      COALESCE(?, q.\`retry_backoff\`, ?),
       COALESCE(?, NOW()),
       ?,
       ?,
       COALESCE(?, 900),
       COALESCE(?, DATE_ADD(NOW(), INTERVAL 14 DAY)),
+      COALESCE(?, q.\`dead_letter\`),
+      COALESCE(?, q.\`policy\`),
       ?,
       ?
-    )
-  `
-}
-
-function insertJobs (schema) {
-  return `
-    INSERT INTO \`${schema}\`.\`job\` (
-      \`name\`,
-      \`priority\`,
-      \`data\`,
-      \`state\`,
-      \`retry_limit\`,
-      \`retry_delay\`,
-      \`retry_backoff\`,
-      \`start_after\`,
-      \`singleton_key\`,
-      \`singleton_on\`,
-      \`expire_in_seconds\`,
-      \`keep_until\`,
-      \`dead_letter\`,
-      \`policy\`
-    ) VALUES ?
+    FROM (SELECT 1) AS d
+    LEFT JOIN \`${schema}\`.\`queue\` q ON q.\`name\` = ?
   `
 }
 
@@ -429,27 +1355,82 @@ function getTime (schema) {
 }
 
 function getSchedules (schema) {
-  return `
-    SELECT \`name\`, \`cron\`, \`timezone\`, \`data\`, \`options\`
-    FROM \`${schema}\`.\`schedule\`
-  `
+  return function (options = {}) {
+    const { queue } = options
+
+    return `
+      SELECT \`name\`, \`schedule_key\` as \`key\`, \`cron\`, \`every_seconds\` as \`every\`, \`timezone\`, \`data\`, \`options\`,
+        \`catch_up\` as \`catchUp\`, \`last_slot\` as \`lastSlot\`, \`paused\`,
+        \`last_run_on\` as \`lastRunOn\`, \`last_job_id\` as \`lastJobId\`, \`start_on\` as \`startOn\`, \`end_on\` as \`endOn\`,
+        \`run_limit\` as \`runLimit\`, \`run_count\` as \`runCount\`, \`created_on\` as \`createdOn\`
+      FROM \`${schema}\`.\`schedule\`
+      ${queue ? 'WHERE `name` = ?' : ''}
+      ORDER BY \`name\`, \`schedule_key\`
+    `
+  }
 }
 
 function schedule (schema) {
   return `
-    INSERT INTO \`${schema}\`.\`schedule\` (\`name\`, \`cron\`, \`timezone\`, \`data\`, \`options\`)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO \`${schema}\`.\`schedule\` (\`name\`, \`schedule_key\`, \`cron\`, \`every_seconds\`, \`timezone\`, \`data\`, \`options\`, \`catch_up\`, \`start_on\`, \`end_on\`, \`run_limit\`)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON DUPLICATE KEY UPDATE
       \`cron\` = VALUES(\`cron\`),
+      \`every_seconds\` = VALUES(\`every_seconds\`),
       \`timezone\` = VALUES(\`timezone\`),
       \`data\` = VALUES(\`data\`),
       \`options\` = VALUES(\`options\`),
+      \`catch_up\` = VALUES(\`catch_up\`),
+      \`start_on\` = VALUES(\`start_on\`),
+      \`end_on\` = VALUES(\`end_on\`),
+      \`run_limit\` = VALUES(\`run_limit\`),
       \`updated_on\` = NOW()
   `
 }
 
+// Moves a schedule's last fired slot forward. Only one instance can move it
+// past a given slot, so whoever changes the row sends that slot's job.
+// A schedule that used up its run limit claims no more slots
+function claimScheduleSlot (schema) {
+  return `
+    UPDATE \`${schema}\`.\`schedule\`
+    SET \`last_slot\` = ?
+    WHERE \`name\` = ?
+      AND \`schedule_key\` = ?
+      AND (\`last_slot\` IS NULL OR \`last_slot\` < ?)
+      AND (\`run_limit\` IS NULL OR \`run_count\` < \`run_limit\`)
+  `
+}
+
+// Resuming moves the last slot up to now, so the slots that passed while the
+// schedule was paused are not caught up
+function setSchedulePaused (schema) {
+  return `
+    UPDATE \`${schema}\`.\`schedule\`
+    SET \`last_slot\` = IF(?, \`last_slot\`, NOW(3)),
+      \`paused\` = ?
+    WHERE \`name\` = ?
+      AND \`schedule_key\` = ?
+      AND \`paused\` <> ?
+  `
+}
+
+// Runs from slots count towards the run limit, and the run that reaches it
+// pauses the schedule. run_count is assigned first so paused sees the new count
+function recordScheduleRun (schema) {
+  return `
+    UPDATE \`${schema}\`.\`schedule\`
+    SET \`last_run_on\` = NOW(3),
+      \`last_job_id\` = ?,
+      \`run_count\` = \`run_count\` + ?,
+      \`paused\` = IF(\`run_limit\` IS NOT NULL AND \`run_count\` >= \`run_limit\`, TRUE, \`paused\`)
+    WHERE \`name\` = ?
+      AND \`schedule_key\` = ?
+  `
+}
+
 function unschedule (schema) {
-  return `DELETE FROM \`${schema}\`.\`schedule\` WHERE \`name\` = ?`
+  return `DELETE FROM \`${schema}\`.\`schedule\` WHERE \`name\` = ? AND \`schedule_key\` = ?`
 }
 
 function subscribe (schema) {
@@ -474,11 +1455,18 @@ function getQueuesForEvent (schema) {
   `
 }
 
+const archiveColumns = `
+  \`id\`, \`name\`, \`priority\`, \`data\`, \`state\`,
+  \`retry_limit\`, \`retry_count\`, \`retry_delay\`, \`retry_backoff\`,
+  \`start_after\`, \`started_on\`, \`singleton_key\`, \`singleton_on\`,
+  \`expire_in_seconds\`, \`created_on\`, \`completed_on\`, \`keep_until\`,
+  \`output\`, \`dead_letter\`, \`policy\`, \`origin_id\`, \`origin_name\`, \`progress\`, \`group_key\`, \`ordering_key\``
+
 function archive (schema, completedInterval, failedInterval) {
   return `
-    INSERT INTO \`${schema}\`.\`archive\` 
-    SELECT *, NOW() as \`archived_on\` 
-    FROM \`${schema}\`.\`job\` 
+    INSERT INTO \`${schema}\`.\`archive\` (${archiveColumns}, \`archived_on\`)
+    SELECT ${archiveColumns}, NOW()
+    FROM \`${schema}\`.\`job\`
     WHERE (\`state\` != 'failed' AND \`completed_on\` < DATE_SUB(NOW(), INTERVAL ${completedInterval} SECOND))
        OR (\`state\` = 'failed' AND \`completed_on\` < DATE_SUB(NOW(), INTERVAL ${failedInterval} SECOND))
   `
@@ -529,6 +1517,9 @@ function updateQueue (schema) {
         \`expire_seconds\` = COALESCE(?, \`expire_seconds\`),
         \`retention_minutes\` = COALESCE(?, \`retention_minutes\`),
         \`dead_letter\` = COALESCE(?, \`dead_letter\`),
+        \`rate_limit_max\` = IF(?, ?, \`rate_limit_max\`),
+        \`rate_limit_seconds\` = IF(?, ?, \`rate_limit_seconds\`),
+        \`group_concurrency\` = IF(?, ?, \`group_concurrency\`),
         \`updated_on\` = NOW()
     WHERE \`name\` = ?
   `
@@ -544,8 +1535,11 @@ function createQueue (schema) {
       \`retry_backoff\`,
       \`expire_seconds\`,
       \`retention_minutes\`,
-      \`dead_letter\`
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      \`dead_letter\`,
+      \`rate_limit_max\`,
+      \`rate_limit_seconds\`,
+      \`group_concurrency\`
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `
 }
 
@@ -564,6 +1558,10 @@ function getQueues (schema) {
       \`expire_seconds\` as \`expireInSeconds\`,
       \`retention_minutes\` as \`retentionMinutes\`,
       \`dead_letter\` as \`deadLetter\`,
+      \`paused\`,
+      \`rate_limit_max\` as \`rateLimitMax\`,
+      \`rate_limit_seconds\` as \`rateLimitSeconds\`,
+      \`group_concurrency\` as \`groupConcurrency\`,
       \`created_on\` as \`createdOn\`,
       \`updated_on\` as \`updatedOn\`
     FROM \`${schema}\`.\`queue\`
@@ -581,6 +1579,10 @@ function getQueueByName (schema) {
       \`expire_seconds\` as \`expireInSeconds\`,
       \`retention_minutes\` as \`retentionMinutes\`,
       \`dead_letter\` as \`deadLetter\`,
+      \`paused\`,
+      \`rate_limit_max\` as \`rateLimitMax\`,
+      \`rate_limit_seconds\` as \`rateLimitSeconds\`,
+      \`group_concurrency\` as \`groupConcurrency\`,
       \`created_on\` as \`createdOn\`,
       \`updated_on\` as \`updatedOn\`
     FROM \`${schema}\`.\`queue\`
@@ -604,6 +1606,9 @@ function clearStorage (schema) {
   return `
     DELETE FROM \`${schema}\`.\`job\`;
     DELETE FROM \`${schema}\`.\`archive\`;
+    DELETE FROM \`${schema}\`.\`idempotency\`;
+    DELETE FROM \`${schema}\`.\`job_dependency\`;
+    DELETE FROM \`${schema}\`.\`job_history\`;
     DELETE FROM \`${schema}\`.\`schedule\`;
     DELETE FROM \`${schema}\`.\`subscription\`;
     DELETE FROM \`${schema}\`.\`queue\`;
@@ -628,15 +1633,6 @@ function trySetMonitorTime (schema) {
   `
 }
 
-function trySetCronTime (schema) {
-  return `
-    UPDATE \`${schema}\`.\`version\` 
-    SET \`cron_on\` = NOW()
-    WHERE \`cron_on\` IS NULL 
-       OR \`cron_on\` < DATE_SUB(NOW(), INTERVAL ? SECOND)
-  `
-}
-
 function locked (schema, commands) {
   if (Array.isArray(commands)) {
     return commands.join(';\n')
@@ -2,12 +2,17 @@ const EventEmitter = require('node:events')
 const cronParser = require('cron-parser')
 const plans = require('./plans')
 const Attorney = require('./attorney')
-const { delay } = require('./tools')
+const { delay, parseInterval } = require('./tools')
+
+// catchUp 'all' sends at most this many missed slots, the most recent ones
+const MAX_CATCH_UP_SLOTS = 1000
 
 const EVENTS = {
   error: 'error',
   clockSkew: 'clock-skew',
-  schedule: 'schedule'
+  schedule: 'schedule',
+  schedulePaused: 'schedule-paused',
+  scheduleResumed: 'schedule-resumed'
 }
 
 class Timekeeper extends EventEmitter {
@@ -28,27 +33,28 @@ class Timekeeper extends EventEmitter {
     this.getSchedulesCommand = plans.getSchedules(config.schema)
     this.scheduleCommand = plans.schedule(config.schema)
     this.unscheduleCommand = plans.unschedule(config.schema)
-    this.trySetCronTimeCommand = plans.trySetCronTime(config.schema)
+    this.claimScheduleSlotCommand = plans.claimScheduleSlot(config.schema)
+    this.setSchedulePausedCommand = plans.setSchedulePaused(config.schema)
+    this.recordScheduleRunCommand = plans.recordScheduleRun(config.schema)
 
     this.functions = [
       this.schedule,
       this.unschedule,
       this.getSchedules,
+      this.pauseSchedule,
+      this.resumeSchedule,
+      this.triggerSchedule,
       this.cacheClockSkew
     ]
 
     this.cronTimerActive = false
+    this.cronWoken = false
     this.clockSkewTimerActive = false
     this.stopped = false
   }
 
   async start () {
     this.stopped = false
-    
-    // setting the archive config too low breaks the cron 60s debounce interval so don't even try
-    if (this.config.archiveInterval < 60) {
-      return
-    }
 
     this.startClockSkewMonitoring()
     this.startCronMonitoring()
@@ -61,8 +67,9 @@ class Timekeeper extends EventEmitter {
       clearInterval(this.clockSkewTimer)
     }
     
-    if (this.cronTimer) {
-      clearInterval(this.cronTimer)
+    if (this.cronLoop) {
+      this.wakeCron()
+      await this.cronLoop
     }
   }
 
@@ -73,9 +80,43 @@ class Timekeeper extends EventEmitter {
   }
 
   startCronMonitoring () {
-    this.cronTimer = setInterval(() => {
-      this.onCron()
-    }, this.cronMonitorIntervalMs)
+    this.cronLoop = this.loopCron()
+  }
+
+  // Sleeps until the next slot of any schedule is due. Schedules changed on
+  // other instances are picked up at least every cronMonitorIntervalSeconds
+  async loopCron () {
+    while (!this.stopped) {
+      this.cronWoken = false
+
+      const nextSlot = await this.onCron()
+
+      if (this.stopped || this.cronWoken) {
+        continue
+      }
+
+      const now = Date.now() + this.clockSkew
+      const wait = Math.min(nextSlot ? nextSlot - now : Infinity, this.cronMonitorIntervalMs)
+
+      this.cronDelay = delay(Math.max(wait, 0))
+
+      try {
+        await this.cronDelay
+      } catch (err) {
+        // woken up to reload the schedules
+      } finally {
+        this.cronDelay = null
+      }
+    }
+  }
+
+  // Reloads the schedules right away, after one changed on this instance
+  wakeCron () {
+    this.cronWoken = true
+
+    if (this.cronDelay) {
+      this.cronDelay.abort()
+    }
   }
 
   async onCron () {
@@ -94,11 +135,7 @@ class Timekeeper extends EventEmitter {
         return
       }
 
-      const { rows } = await this.db.executeSql(this.trySetCronTimeCommand, [this.config.archiveInterval])
-
-      if (rows.length === 1 && !this.stopped) {
-        await this.cron()
-      }
+      return await this.cron()
     } catch (err) {
       this.emit(this.events.error, err)
     } finally {
@@ -106,33 +143,164 @@ class Timekeeper extends EventEmitter {
     }
   }
 
+  // Every instance checks every schedule. A slot is claimed on the schedule row
+  // in the same transaction that sends its job, so each slot is sent once.
+  // Returns when the next slot of any schedule is due
   async cron () {
     const schedules = await this.getSchedules()
+    const now = new Date(Date.now() + this.clockSkew)
+
+    let nextSlot = null
 
     for (const schedule of schedules) {
+      if (this.stopped) {
+        break
+      }
+
+      if (schedule.paused || schedule.remaining === 0) {
+        continue
+      }
+
       try {
-        const { name, cron, timezone, data, options } = schedule
-        
-        if (this.stopped) {
-          break
+        if (schedule.nextRunOn && (!nextSlot || schedule.nextRunOn < nextSlot)) {
+          nextSlot = schedule.nextRunOn
         }
 
-        const interval = cronParser.parseExpression(cron, { tz: timezone })
-        
-        const prevTime = interval.prev()
-        const nextTime = interval.next()
-
-        const now = Date.now() + this.clockSkew
+        await this.fireDue(schedule, now)
 
-        // Check if we should fire this cron job
-        if (prevTime.toDate().getTime() <= now && now < nextTime.toDate().getTime()) {
-          await this.manager.send(name, data, options)
-          this.emit(this.events.schedule, { name, cron, timezone })
+        // every slot up to the end date was sent, so the schedule is done
+        if (schedule.endOn && now > schedule.endOn) {
+          await this.setSchedulePaused(schedule.name, schedule.key, true)
         }
       } catch (err) {
         this.emit(this.events.error, err)
       }
     }
+
+    return nextSlot
+  }
+
+  async fireDue (schedule, now) {
+    const slots = this.getSlots(schedule, now)
+
+    if (!slots.length) {
+      return
+    }
+
+    if (schedule.catchUp === plans.SCHEDULE_CATCH_UP.all) {
+      for (const slot of slots) {
+        await this.fire(schedule, slot)
+      }
+
+      return
+    }
+
+    const latest = slots[slots.length - 1]
+
+    // a running instance sends a slot as soon as it is due, so one older than
+    // two reload intervals was missed. With catchUp none it is still claimed,
+    // so it is not checked again
+    const missed = now - latest > this.cronMonitorIntervalMs * 2
+
+    await this.fire(schedule, latest, missed && schedule.catchUp === plans.SCHEDULE_CATCH_UP.none)
+  }
+
+  // The slots after the last one fired, or after the schedule was created, up to now,
+  // within the schedule's start and end dates: only the latest one, or the last
+  // 1000 with catchUp all. Interval slots are whole multiples of the interval
+  // since the epoch
+  getSlots (schedule, now) {
+    const { cron, every, timezone, lastSlot, createdOn, startOn, endOn, catchUp } = schedule
+
+    // slots come strictly after from, so one right on the start date is included
+    const from = new Date(Math.max(lastSlot || createdOn, startOn ? startOn - 1 : 0))
+    const until = endOn && endOn < now ? endOn : now
+
+    if (until <= from) {
+      return []
+    }
+
+    const count = catchUp === plans.SCHEDULE_CATCH_UP.all ? MAX_CATCH_UP_SLOTS : 1
+
+    if (every) {
+      const ms = every * 1000
+      const last = Math.floor(until / ms)
+      const first = Math.max(Math.floor(from / ms) + 1, last - count + 1)
+
+      return Array.from({ length: Math.max(last - first + 1, 0) }, (_, i) => new Date((first + i) * ms))
+    }
+
+    // Walking back from until visits only the slots returned, however long ago
+    // from is. prev() starts strictly before currentDate, so a slot right on
+    // until is included
+    const interval = cronParser.parseExpression(cron, { tz: timezone, currentDate: new Date(until.getTime() + 1) })
+    const slots = []
+
+    while (slots.length < count) {
+      const slot = interval.prev().toDate()
+
+      if (slot <= from) {
+        break
+      }
+
+      slots.unshift(slot)
+    }
+
+    return slots
+  }
+
+  // null once the schedule is past its end date
+  getNextSlot (schedule, now) {
+    const { cron, every, timezone, startOn, endOn } = schedule
+
+    const from = new Date(Math.max(now, startOn ? startOn - 1 : 0))
+
+    const next = every
+      ? new Date((Math.floor(from / (every * 1000)) + 1) * every * 1000)
+      : cronParser.parseExpression(cron, { tz: timezone, currentDate: from }).next().toDate()
+
+    return endOn && next > endOn ? null : next
+  }
+
+  async fire (schedule, slot, skip = false) {
+    const { name, key, cron, every, timezone, data, options } = schedule
+
+    const fired = await this.db.transaction(async tx => {
+      const { rowCount } = await tx.executeSql(this.claimScheduleSlotCommand, [slot, name, key, slot])
+
+      // another instance fired this slot already
+      if (!rowCount || skip) {
+        return null
+      }
+
+      const sendOptions = { ...options, db: tx }
+
+      // The slot key drops a second send of the same slot while the first is
+      // queued. Queue policies share singleton keys, so those queues keep theirs
+      if (!sendOptions.singletonKey) {
+        const { rows } = await tx.executeSql(this.getQueueCommand, [name])
+        const policy = sendOptions.policy || rows[0]?.policy || plans.QUEUE_POLICIES.standard
+
+        if (policy === plans.QUEUE_POLICIES.standard) {
+          sendOptions.singletonKey = `${key}:${slot.toISOString()}`
+        }
+      }
+
+      const id = await this.manager.send(name, data, sendOptions)
+
+      // the queue policy rejected the job, so the slot doesn't count as a run
+      if (!id) {
+        return null
+      }
+
+      await tx.executeSql(this.recordScheduleRunCommand, [id, 1, name, key])
+
+      return { id }
+    })
+
+    if (fired) {
+      this.emit(this.events.schedule, { name, key, cron, every, timezone, slot, jobId: fired.id })
+    }
   }
 
   async cacheClockSkew () {
@@ -163,19 +331,123 @@ class Timekeeper extends EventEmitter {
     }
   }
 
-  async getSchedules () {
-    const { rows } = await this.db.executeSql(this.getSchedulesCommand)
-    return rows
+  async getSchedules (options = {}) {
+    const { queue } = options
+
+    if (queue !== undefined) {
+      Attorney.assertQueueName(queue)
+    }
+
+    const { rows } = await this.db.executeSql(this.getSchedulesCommand({ queue }), queue ? [queue] : [])
+    const now = new Date(Date.now() + this.clockSkew)
+
+    return rows.map(row => {
+      const remaining = row.runLimit === null ? null : Math.max(row.runLimit - row.runCount, 0)
+
+      return {
+        ...row,
+        paused: !!row.paused,
+        remaining,
+        nextRunOn: row.paused || remaining === 0 ? null : this.getNextSlot(row, now)
+      }
+    })
+  }
+
+  async getSchedule (name, key) {
+    const schedules = await this.getSchedules({ queue: name })
+    const schedule = schedules.find(i => i.key === key)
+
+    if (!schedule) {
+      throw new Error(`Schedule ${key} for queue ${name} not found`)
+    }
+
+    return schedule
+  }
+
+  async pauseSchedule (name, key = plans.DEFAULT_SCHEDULE_KEY) {
+    return this.setSchedulePaused(name, key, true)
   }
 
-  async schedule (name, cron, data, options = {}) {
-    const { tz = 'UTC' } = options
+  async resumeSchedule (name, key = plans.DEFAULT_SCHEDULE_KEY) {
+    return this.setSchedulePaused(name, key, false)
+  }
+
+  // Resolves to whether the paused state changed
+  async setSchedulePaused (name, key, paused) {
+    Attorney.assertQueueName(name)
+    Attorney.assertScheduleOptions({ key })
+
+    const { rowCount } = await this.db.executeSql(this.setSchedulePausedCommand, [paused, paused, name, key, paused])
+
+    if (!rowCount) {
+      await this.getSchedule(name, key)
+      return false
+    }
+
+    this.emit(paused ? this.events.schedulePaused : this.events.scheduleResumed, { name, key })
+    this.wakeCron()
+
+    return true
+  }
+
+  // Sends the schedule's job right away, paused or not. Its slots and run limit
+  // are unaffected
+  async triggerSchedule (name, key = plans.DEFAULT_SCHEDULE_KEY) {
+    Attorney.assertScheduleOptions({ key })
+
+    const { data, options } = await this.getSchedule(name, key)
+
+    return this.db.transaction(async tx => {
+      const id = await this.manager.send(name, data, { ...options, db: tx })
 
-    cronParser.parseExpression(cron, { tz })
+      if (id) {
+        await tx.executeSql(this.recordScheduleRunCommand, [id, 0, name, key])
+      }
 
-    Attorney.checkSendArgs([name, data, options], this.config)
+      return id
+    })
+  }
 
-    const values = [name, cron, tz, JSON.stringify(data), JSON.stringify(options)]
+  // cron is a cron expression, with an optional leading seconds field, or
+  // { every } for a fixed interval such as '30s'. options.key names the schedule,
+  // so a queue can have several. Scheduling the same queue and key again
+  // replaces that schedule
+  async schedule (name, cron, data, options = {}) {
+    Attorney.assertScheduleOptions(options)
+
+    const {
+      tz = 'UTC',
+      key = plans.DEFAULT_SCHEDULE_KEY,
+      catchUp = plans.SCHEDULE_CATCH_UP.none,
+      startDate = null,
+      endDate = null,
+      limit = null,
+      ...sendOptions
+    } = options
+
+    const every = typeof cron === 'object' && cron !== null ? parseInterval(cron.every) : null
+
+    if (every === null) {
+      cronParser.parseExpression(cron, { tz })
+    } else {
+      Attorney.assertScheduleInterval(every)
+    }
+
+    Attorney.checkSendArgs([name, data, sendOptions], this.config)
+
+    const values = [
+      name,
+      key,
+      every === null ? cron : null,
+      every,
+      tz,
+      JSON.stringify(data),
+      JSON.stringify(sendOptions),
+      catchUp,
+      startDate && new Date(startDate),
+      endDate && new Date(endDate),
+      limit
+    ]
 
     try {
       await this.db.executeSql(this.scheduleCommand, values)
@@ -186,10 +458,14 @@ class Timekeeper extends EventEmitter {
 
       throw err
     }
+
+    this.wakeCron()
   }
 
-  async unschedule (name) {
-    await this.db.executeSql(this.unscheduleCommand, [name])
+  async unschedule (name, key = plans.DEFAULT_SCHEDULE_KEY) {
+    Attorney.assertScheduleOptions({ key })
+    await this.db.executeSql(this.unscheduleCommand, [name, key])
+    this.wakeCron()
   }
 }
 
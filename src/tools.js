@@ -1,29 +1,19 @@
-async function delay (ms) {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(resolve, ms)
-    
-    // Add abort capability
-    const promise = {
-      then: (onFulfilled, onRejected) => {
-        return new Promise((resolve, reject) => {
-          timeout.unref ? timeout.unref() : null
-          setTimeout(() => {
-            if (onFulfilled) onFulfilled()
-            resolve()
-          }, ms)
-        }).then(onFulfilled, onRejected)
-      },
-      catch: (onRejected) => {
-        return promise.then(null, onRejected)
-      },
-      abort: () => {
-        clearTimeout(timeout)
-        reject(new Error('Delay aborted'))
-      }
-    }
-    
-    return promise
+// Not async: the returned promise carries an abort() that rejects it early
+function delay (ms) {
+  let timeout
+  let rejectDelay
+
+  const promise = new Promise((resolve, reject) => {
+    rejectDelay = reject
+    timeout = setTimeout(resolve, ms)
   })
+
+  promise.abort = () => {
+    clearTimeout(timeout)
+    rejectDelay(new Error('Delay aborted'))
+  }
+
+  return promise
 }
 
 async function resolveWithinSeconds (promise, seconds) {
@@ -36,6 +26,38 @@ async function resolveWithinSeconds (promise, seconds) {
   return Promise.race([promise, timeoutPromise])
 }
 
+// Like resolveWithinSeconds, but extend() pushes the deadline out while work is still healthy
+function resolveWithinDeadline (promise, seconds) {
+  let timeout
+  let deadline
+  let rejectDeadline
+
+  const timeoutPromise = new Promise((resolve, reject) => {
+    rejectDeadline = reject
+  })
+
+  const extend = (seconds) => {
+    const next = Date.now() + seconds * 1000
+
+    if (deadline && next <= deadline) {
+      return
+    }
+
+    deadline = next
+    clearTimeout(timeout)
+    timeout = setTimeout(() => {
+      rejectDeadline(new Error(`Operation timed out after ${seconds} seconds`))
+    }, seconds * 1000)
+  }
+
+  extend(seconds)
+
+  const race = Promise.race([promise, timeoutPromise])
+    .finally(() => clearTimeout(timeout))
+
+  return { promise: race, extend }
+}
+
 function parseInterval (interval) {
   if (typeof interval === 'number') {
     return interval
@@ -117,6 +139,7 @@ function createThrottle (func, limit) {
 module.exports = {
   delay,
   resolveWithinSeconds,
+  resolveWithinDeadline,
   parseInterval,
   formatInterval,
   randomBetween,
@@ -8,18 +8,22 @@ const WORKER_STATES = {
 }
 
 class Worker {
-  constructor ({ id, name, options, interval, fetch, onFetch, onError }) {
+  constructor ({ id, name, options, interval, teamSize = 1, teamConcurrency = 1, batchSize = 1, fetch, onFetch, onError }) {
     this.id = id
     this.name = name
     this.options = options
     this.interval = interval
+    this.teamSize = teamSize
+    this.teamConcurrency = teamConcurrency
+    this.batchSize = batchSize
     this.fetch = fetch
     this.onFetch = onFetch
     this.onError = onError
     this.state = WORKER_STATES.created
     this.stopping = false
     this.beenNotified = false
-    this.loopDelayPromise = null
+    this.loopDelayPromises = new Set()
+    this.abortController = new AbortController()
     this.createdOn = new Date()
     this.lastJobStartedOn = null
     this.lastJobEndedOn = null
@@ -29,65 +33,107 @@ class Worker {
 
   start () {
     this.state = WORKER_STATES.active
-    this.loop()
+
+    // each team member polls independently and runs up to teamConcurrency batches at once
+    const loops = Array.from({ length: this.teamSize }, () => this.loop())
+
+    Promise.all(loops).then(() => {
+      this.state = WORKER_STATES.stopped
+    })
   }
 
   stop () {
     this.stopping = true
     this.state = WORKER_STATES.stopping
-
-    if (this.loopDelayPromise) {
-      this.loopDelayPromise.abort()
-    }
+    this.abortDelays()
+    this.abortController.abort(new Error('Worker is stopping'))
   }
 
   notify () {
     this.beenNotified = true
+    this.abortDelays()
+  }
 
-    if (this.loopDelayPromise) {
-      this.loopDelayPromise.abort()
+  abortDelays () {
+    for (const loopDelayPromise of this.loopDelayPromises) {
+      loopDelayPromise.abort()
     }
   }
 
   async loop () {
+    const running = new Set()
+
     while (!this.stopping) {
       const start = Date.now()
-      
+      const slots = this.teamConcurrency - running.size
+      let fetched = 0
+
       try {
-        const jobs = await this.fetch()
-        
+        const jobs = await this.fetch(slots * this.batchSize)
+
         if (jobs && jobs.length > 0) {
+          fetched = jobs.length
           this.lastJobStartedOn = new Date()
           this.beenNotified = false
-          
-          await this.onFetch(jobs)
-          
-          this.lastJobEndedOn = new Date()
+
+          for (let i = 0; i < jobs.length; i += this.batchSize) {
+            this.run(running, jobs.slice(i, i + this.batchSize))
+          }
         }
       } catch (err) {
-        this.lastError = err
-        this.lastErrorOn = new Date()
-        this.onError(err)
+        this.setError(err)
       }
 
       if (this.stopping) {
         break
       }
 
+      // every slot is busy: poll again as soon as one frees up
+      if (running.size >= this.teamConcurrency) {
+        await Promise.race(running)
+        continue
+      }
+
+      // a full fetch means more jobs are probably waiting
+      if (fetched > 0 && fetched === slots * this.batchSize) {
+        continue
+      }
+
       const duration = Date.now() - start
-      
+
       if (!this.stopping && !this.beenNotified && (this.interval - duration) > 100) {
-        this.loopDelayPromise = delay(this.interval - duration)
-        
+        const loopDelayPromise = delay(this.interval - duration)
+        this.loopDelayPromises.add(loopDelayPromise)
+
         try {
-          await this.loopDelayPromise
+          await loopDelayPromise
         } catch (err) {
           // Delay was aborted, continue loop
+        } finally {
+          this.loopDelayPromises.delete(loopDelayPromise)
         }
       }
     }
 
-    this.state = WORKER_STATES.stopped
+    await Promise.all(running)
+  }
+
+  run (running, jobs) {
+    const promise = Promise.resolve()
+      .then(() => this.onFetch(jobs, this.abortController.signal))
+      .catch(err => this.setError(err))
+      .finally(() => {
+        this.lastJobEndedOn = new Date()
+        running.delete(promise)
+      })
+
+    running.add(promise)
+  }
+
+  setError (err) {
+    this.lastError = err
+    this.lastErrorOn = new Date()
+    this.onError(err)
   }
 }
 
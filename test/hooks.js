@@ -1,82 +1,129 @@
+const mysql = require('mysql2/promise')
 const SwiftQueueMySQL = require('../src/index')
 
-// Global test hooks
-before(async function() {
-  this.timeout(10000)
-  
-  // Create test database if it doesn't exist
-  const adminBoss = new SwiftQueueMySQL({
-    host: process.env.MYSQL_HOST || 'localhost',
-    user: process.env.MYSQL_USER || 'root',
-    password: process.env.MYSQL_PASSWORD || 'password',
-    database: 'mysql' // Connect to mysql database to create test database
-  })
-  
+const testConfig = {
+  host: process.env.MYSQL_HOST || 'localhost',
+  user: process.env.MYSQL_USER || 'root',
+  password: process.env.MYSQL_PASSWORD || 'password',
+  database: process.env.MYSQL_DATABASE || 'swift_queue_test'
+}
+
+// error listeners added by collectErrors, removed after each test
+const errorListeners = []
+
+// Runs once before any test file, so parallel workers share the database
+async function mochaGlobalSetup () {
+  // Connect to the mysql database to create the test database
+  const adminBoss = new SwiftQueueMySQL({ ...testConfig, database: 'mysql' })
+
   try {
     await adminBoss.start()
-    
-    const testDb = process.env.MYSQL_DATABASE || 'swift_queue_test'
-    await adminBoss.getDb().executeSql(`CREATE DATABASE IF NOT EXISTS \`${testDb}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`)
-    
+    await adminBoss.getDb().executeSql(`CREATE DATABASE IF NOT EXISTS \`${testConfig.database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`)
     await adminBoss.stop()
   } catch (error) {
     console.error('Failed to create test database:', error)
   }
-})
-
-after(async function() {
-  this.timeout(10000)
-  
-  // Clean up test database
-  const adminBoss = new SwiftQueueMySQL({
-    host: process.env.MYSQL_HOST || 'localhost',
-    user: process.env.MYSQL_USER || 'root',
-    password: process.env.MYSQL_PASSWORD || 'password',
-    database: 'mysql'
-  })
-  
+}
+
+async function mochaGlobalTeardown () {
+  const adminBoss = new SwiftQueueMySQL({ ...testConfig, database: 'mysql' })
+
   try {
     await adminBoss.start()
-    
-    const testDb = process.env.MYSQL_DATABASE || 'swift_queue_test'
-    await adminBoss.getDb().executeSql(`DROP DATABASE IF EXISTS \`${testDb}\``)
-    
+    await adminBoss.getDb().executeSql(`DROP DATABASE IF EXISTS \`${testConfig.database}\``)
     await adminBoss.stop()
   } catch (error) {
     console.error('Failed to clean up test database:', error)
   }
-})
+}
+
+const mochaHooks = {
+  afterEach () {
+    for (const { boss, listener } of errorListeners.splice(0)) {
+      boss.off('error', listener)
+    }
+  }
+}
 
-// Helper function to wait for condition
-global.waitForCondition = async function(condition, timeout = 5000, interval = 100) {
+// Resolves to the first truthy result of condition
+async function waitFor (condition, timeout = 5000, interval = 100) {
   const start = Date.now()
-  
+
   while (Date.now() - start < timeout) {
-    if (await condition()) {
-      return true
+    const result = await condition()
+
+    if (result) {
+      return result
     }
+
     await new Promise(resolve => setTimeout(resolve, interval))
   }
-  
+
   throw new Error(`Condition not met within ${timeout}ms`)
 }
 
-// Helper function to create test boss instance
-global.createTestBoss = function(options = {}) {
-  return new SwiftQueueMySQL({
-    host: process.env.MYSQL_HOST || 'localhost',
-    user: process.env.MYSQL_USER || 'root',
-    password: process.env.MYSQL_PASSWORD || 'password',
-    database: process.env.MYSQL_DATABASE || 'swift_queue_test',
-    ...options
-  })
+function createTestBoss (options = {}) {
+  return new SwiftQueueMySQL({ ...testConfig, ...options })
+}
+
+async function startTestBoss (options = {}) {
+  const boss = createTestBoss(options)
+  await boss.start()
+  return boss
 }
 
-// Helper function to clean up test data
-global.cleanupTestData = async function(boss) {
+async function stopTestBoss (boss) {
+  if (boss) {
+    await boss.clearStorage()
+    await boss.stop()
+  }
+}
+
+// Runs fn with its own started boss, for tests that need different constructor options
+async function withTestBoss (options, fn) {
+  const boss = await startTestBoss(options)
+
+  try {
+    return await fn(boss)
+  } finally {
+    await boss.stop()
+  }
+}
+
+function createTestConnection () {
+  return mysql.createConnection({ ...testConfig, timezone: 'Z' })
+}
+
+// Collects the errors a boss emits until the end of the current test
+function collectErrors (boss) {
+  const errors = []
+  const listener = error => errors.push(error)
+
+  boss.on('error', listener)
+  errorListeners.push({ boss, listener })
+
+  return errors
+}
+
+async function cleanupTestData (boss) {
   try {
     await boss.clearStorage()
   } catch (error) {
     console.error('Failed to cleanup test data:', error)
   }
 }
+
+module.exports = {
+  mochaGlobalSetup,
+  mochaGlobalTeardown,
+  mochaHooks,
+  testConfig,
+  waitFor,
+  createTestBoss,
+  startTestBoss,
+  stopTestBoss,
+  withTestBoss,
+  createTestConnection,
+  collectErrors,
+  cleanupTestData
+}
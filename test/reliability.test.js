@@ -1,27 +1,51 @@
 const assert = require('assert')
 const SwiftQueueMySQL = require('../src/index')
+const { waitFor, startTestBoss, stopTestBoss, withTestBoss, createTestConnection, collectErrors } = require('./hooks')
 
 describe('Reliability Tests', function() {
   this.timeout(20000)
   
   let boss
 
-  before(async function() {
-    boss = new SwiftQueueMySQL({
-      host: process.env.MYSQL_HOST || 'localhost',
-      user: process.env.MYSQL_USER || 'root',
-      password: process.env.MYSQL_PASSWORD || 'password',
-      database: process.env.MYSQL_DATABASE || 'swift_queue_test'
+  // resolves to the job once it reaches state
+  function waitForState (queueName, jobId, state, timeout = 10000) {
+    return waitFor(async () => {
+      const job = await boss.getJobById(queueName, jobId)
+      return job.state === state && job
+    }, timeout)
+  }
+
+  // resolves to the jobs, in the order of expected, once each is in its expected state
+  function waitForStates (queueName, expected) {
+    return waitFor(async () => {
+      const jobs = await Promise.all(Object.keys(expected).map(id => boss.getJobById(queueName, id)))
+      return jobs.every(job => job.state === expected[job.id]) && jobs
     })
-    
-    await boss.start()
+  }
+
+  // polls with several fetchers at once until the queue is empty and returns the delivered ids
+  async function fetchUntilEmpty (fetchers) {
+    const delivered = []
+
+    await Promise.all(fetchers.map(async fetch => {
+      while (true) {
+        const jobs = await fetch()
+        if (!jobs.length) {
+          return
+        }
+        delivered.push(...jobs.map(job => job.id))
+      }
+    }))
+
+    return delivered
+  }
+
+  before(async function () {
+    boss = await startTestBoss()
   })
 
-  after(async function() {
-    if (boss) {
-      await boss.clearStorage()
-      await boss.stop()
-    }
+  after(async function () {
+    await stopTestBoss(boss)
   })
 
   beforeEach(async function() {
@@ -92,6 +116,90 @@ describe('Reliability Tests', function() {
     })
   })
 
+  describe('Automatic Retries', function () {
+    it('should retry a throwing handler until retryLimit is exhausted', async function () {
+      const queueName = 'auto-retry-queue'
+      await boss.createQueue(queueName, { retryLimit: 2, retryDelay: 0 })
+
+      let attempts = 0
+      const errors = collectErrors(boss)
+
+      await boss.work(queueName, async () => {
+        attempts++
+        throw new Error('handler failure')
+      }, { pollingInterval: 200 })
+
+      const jobId = await boss.send(queueName, { test: 'auto retry' })
+      const job = await waitForState(queueName, jobId, 'failed')
+      await waitFor(() => errors.length === 3)
+
+      assert.strictEqual(attempts, 3)
+      assert.deepStrictEqual(errors.map(error => error.message), ['handler failure', 'handler failure', 'handler failure'])
+      assert.strictEqual(job.retryCount, 2)
+      assert.strictEqual(job.output.message, 'handler failure')
+    })
+
+    it('should complete a job that succeeds on retry', async function () {
+      const queueName = 'flaky-queue'
+      await boss.createQueue(queueName, { retryLimit: 3, retryDelay: 0 })
+
+      let attempts = 0
+      const errors = collectErrors(boss)
+
+      await boss.work(queueName, async () => {
+        attempts++
+        if (attempts === 1) {
+          throw new Error('flaky failure')
+        }
+      }, { pollingInterval: 200 })
+
+      const jobId = await boss.send(queueName, { test: 'flaky' })
+      const job = await waitForState(queueName, jobId, 'completed')
+
+      assert.strictEqual(job.retryCount, 1)
+      assert.deepStrictEqual(errors.map(error => error.message), ['flaky failure'])
+    })
+
+    it('should delay retries using retryDelay and retryBackoff', async function () {
+      const queueName = 'retry-delay-queue'
+      await boss.createQueue(queueName, { retryLimit: 3, retryDelay: 10, retryBackoff: true })
+
+      const jobId = await boss.send(queueName, { test: 'delay' })
+
+      await boss.fetch(queueName)
+      await boss.fail(jobId, { error: 'first' }, { retry: true })
+
+      const first = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(first.state, 'retry')
+      assert(new Date(first.startAfter).getTime() > Date.now() + 5000)
+
+      const jobs = await boss.fetch(queueName)
+      assert.strictEqual(jobs.length, 0)
+    })
+
+    it('should take retry settings from the job, then the queue, then the constructor', async function () {
+      await withTestBoss({ retryLimit: 5, retryDelay: 7, retryBackoff: true }, async configured => {
+        const queueName = 'retry-fallback-queue'
+        await configured.createQueue(queueName, { retryLimit: 1 })
+
+        const sentId = await configured.send(queueName, {})
+        const overriddenId = await configured.send(queueName, {}, { retryLimit: 3 })
+        await configured.insert([{ name: queueName, data: { bulk: true } }])
+
+        const sent = await configured.getJobById(queueName, sentId)
+        assert.strictEqual(sent.retryLimit, 1)
+        assert.strictEqual(sent.retryDelay, 7)
+        assert.strictEqual(Boolean(sent.retryBackoff), true)
+
+        assert.strictEqual((await configured.getJobById(queueName, overriddenId)).retryLimit, 3)
+
+        const jobs = await configured.fetch(queueName, { batchSize: 10 })
+        const bulk = jobs.find(job => job.data.bulk)
+        assert.strictEqual((await configured.getJobById(queueName, bulk.id)).retryLimit, 1)
+      })
+    })
+  })
+
   describe('Dead Letter Queue', function() {
     it('should handle dead letter queue', async function() {
       const mainQueue = 'main-queue'
@@ -110,13 +218,92 @@ describe('Reliability Tests', function() {
       await boss.retry(jobId)
       await boss.fail(jobId, { error: 'permanent failure' })
       
-      // Job should be moved to dead letter queue
-      const deadLetterJobs = await boss.fetch(deadLetterQueue)
+      // Job should be copied to the dead letter queue once
+      const deadLetterJobs = await boss.fetch(deadLetterQueue, { batchSize: 10 })
       assert.strictEqual(deadLetterJobs.length, 1)
       assert.strictEqual(deadLetterJobs[0].data.test, 'dead letter')
     })
   })
 
+  describe('Dead Letter Routing', function () {
+    it('should copy exhausted jobs into the dead letter queue', async function () {
+      const mainQueue = 'dlq-origin-queue'
+      const deadLetterQueue = 'dlq-target-queue'
+
+      await boss.createQueue(deadLetterQueue)
+      await boss.createQueue(mainQueue, { deadLetter: deadLetterQueue, retryLimit: 1 })
+
+      const jobId = await boss.send(mainQueue, { test: 'exhausted' })
+
+      await boss.fetch(mainQueue)
+      await boss.fail(jobId, { message: 'first failure' }, { retry: true })
+
+      assert.strictEqual((await boss.fetch(deadLetterQueue)).length, 0)
+
+      await boss.fetch(mainQueue)
+      await boss.fail(jobId, { message: 'last failure' }, { retry: true })
+
+      const [deadLetter] = await boss.fetch(deadLetterQueue, { includeMetadata: true })
+
+      assert.deepStrictEqual(deadLetter.data, { test: 'exhausted' })
+      assert.strictEqual(deadLetter.originId, jobId)
+      assert.strictEqual(deadLetter.originName, mainQueue)
+      assert.strictEqual(deadLetter.output.message, 'last failure')
+
+      const history = await boss.getJobHistory(deadLetter.id)
+      assert.deepStrictEqual(history.map(i => i.state), ['created', 'active'])
+    })
+
+    it('should give dead letter copies the constructor retry settings', async function () {
+      await withTestBoss({ retryLimit: 4, retryDelay: 3 }, async configured => {
+        const mainQueue = 'dlq-defaults-origin-queue'
+        const deadLetterQueue = 'dlq-defaults-target-queue'
+
+        await configured.createQueue(deadLetterQueue)
+        await configured.createQueue(mainQueue, { deadLetter: deadLetterQueue })
+
+        const jobId = await configured.send(mainQueue, { test: 'defaults' })
+        await configured.fail(jobId, { message: 'failure' })
+
+        const [deadLetter] = await configured.fetch(deadLetterQueue, { includeMetadata: true })
+
+        assert.strictEqual(deadLetter.originId, jobId)
+        assert.strictEqual(deadLetter.retryLimit, 4)
+        assert.strictEqual(deadLetter.retryDelay, 3)
+      })
+    })
+
+    it('should replay dead letters onto their origin queue', async function () {
+      const mainQueue = 'replay-origin-queue'
+      const deadLetterQueue = 'replay-target-queue'
+
+      await boss.createQueue(deadLetterQueue)
+      await boss.createQueue(mainQueue, { deadLetter: deadLetterQueue })
+
+      const keepId = await boss.send(mainQueue, { replay: true })
+      const skipId = await boss.send(mainQueue, { replay: false })
+
+      await boss.fail([keepId, skipId], { message: 'failure' })
+
+      const replayed = await boss.replayDeadLetters(deadLetterQueue, {
+        limit: 10,
+        filter: job => job.data.replay
+      })
+
+      assert.strictEqual(replayed.length, 1)
+      assert.strictEqual(replayed[0].originId, keepId)
+      assert.strictEqual(replayed[0].name, mainQueue)
+
+      const [job] = await boss.fetch(mainQueue)
+      assert.strictEqual(job.id, replayed[0].replayId)
+      assert.deepStrictEqual(job.data, { replay: true })
+
+      const remaining = await boss.fetch(deadLetterQueue, { batchSize: 10, includeMetadata: true })
+      assert.strictEqual(remaining.length, 1)
+      assert.strictEqual(remaining[0].originId, skipId)
+    })
+  })
+
   describe('Job Archival', function() {
     it('should archive completed jobs', async function() {
       const queueName = 'archive-queue'
@@ -181,6 +368,38 @@ describe('Reliability Tests', function() {
       }
     })
 
+    it('should deliver each job to exactly one worker under concurrent fetches', async function () {
+      const queueName = 'contended-queue'
+      await boss.createQueue(queueName)
+
+      const total = 200
+      for (let i = 0; i < total; i++) {
+        await boss.send(queueName, { index: i })
+      }
+
+      const delivered = await fetchUntilEmpty(Array.from({ length: 20 }, () => () => boss.fetch(queueName, { batchSize: 5 })))
+
+      assert.strictEqual(delivered.length, total)
+      assert.strictEqual(new Set(delivered).size, total)
+    })
+
+    it('should deliver each job to exactly one worker using claim tokens', async function () {
+      await withTestBoss({ skipLocked: false }, async claimBoss => {
+        const queueName = 'claimed-queue'
+        await claimBoss.createQueue(queueName)
+
+        const total = 100
+        for (let i = 0; i < total; i++) {
+          await claimBoss.send(queueName, { index: i })
+        }
+
+        const delivered = await fetchUntilEmpty(Array.from({ length: 10 }, () => () => claimBoss.fetch(queueName, { batchSize: 5 })))
+
+        assert.strictEqual(delivered.length, total)
+        assert.strictEqual(new Set(delivered).size, total)
+      })
+    })
+
     it('should handle worker team size', function(done) {
       const queueName = 'team-queue'
       let processedJobs = 0
@@ -215,26 +434,929 @@ describe('Reliability Tests', function() {
     })
   })
 
+  describe('Team Concurrency', function () {
+    it('should run teamSize pollers with teamConcurrency jobs each', async function () {
+      const queueName = 'team-concurrency-queue'
+      await boss.createQueue(queueName)
+
+      let active = 0
+      let maxActive = 0
+      let processed = 0
+
+      for (let i = 0; i < 24; i++) {
+        await boss.send(queueName, { index: i })
+      }
+
+      await boss.work(queueName, async (jobs) => {
+        assert.strictEqual(jobs.length, 1)
+        active++
+        maxActive = Math.max(maxActive, active)
+        await new Promise(resolve => setTimeout(resolve, 300))
+        active--
+        processed++
+      }, { teamSize: 2, teamConcurrency: 3, pollingInterval: 200 })
+
+      await waitFor(() => processed === 24, 10000)
+
+      assert(maxActive > 3, `expected parallel jobs across the team, saw ${maxActive}`)
+      assert(maxActive <= 6, `expected at most 6 parallel jobs, saw ${maxActive}`)
+    })
+
+    it('should complete and fail concurrent jobs individually', async function () {
+      const queueName = 'individual-outcome-queue'
+      await boss.createQueue(queueName, { retryLimit: 0 })
+
+      const errors = collectErrors(boss)
+
+      const goodId = await boss.send(queueName, { fail: false })
+      const badId = await boss.send(queueName, { fail: true })
+
+      await boss.work(queueName, async ([job]) => {
+        if (job.data.fail) {
+          throw new Error('bad job')
+        }
+        return { ok: true }
+      }, { teamConcurrency: 2, pollingInterval: 200 })
+
+      await waitForStates(queueName, { [goodId]: 'completed', [badId]: 'failed' })
+      await waitFor(() => errors.length)
+
+      assert.deepStrictEqual(errors.map(error => error.message), ['bad job'])
+    })
+  })
+
+  describe('Batch Outcomes', function () {
+    it('should settle jobs from a Map returned by a batch handler', async function () {
+      const queueName = 'batch-map-queue'
+      await boss.createQueue(queueName, { retryLimit: 0 })
+
+      const okId = await boss.send(queueName, { ok: true })
+      const badId = await boss.send(queueName, { ok: false })
+
+      await boss.work(queueName, async (jobs) => {
+        return new Map(jobs.map(job => [job.id, job.data.ok ? { sent: true } : new Error('bounced')]))
+      }, { batchSize: 2, pollingInterval: 200 })
+
+      const [ok, bad] = await waitForStates(queueName, { [okId]: 'completed', [badId]: 'failed' })
+
+      assert.deepStrictEqual(ok.output, { sent: true })
+      assert.strictEqual(bad.output.message, 'bounced')
+    })
+
+    it('should settle jobs from an array of results', async function () {
+      const queueName = 'batch-array-queue'
+      await boss.createQueue(queueName, { retryLimit: 0 })
+
+      const okId = await boss.send(queueName, { ok: true })
+      const badId = await boss.send(queueName, { ok: false })
+
+      await boss.work(queueName, async (jobs) => {
+        return jobs.map(job => job.data.ok ? { id: job.id, result: 'sent' } : { id: job.id, error: { code: 'BOUNCED' } })
+      }, { batchSize: 2, pollingInterval: 200 })
+
+      const [, bad] = await waitForStates(queueName, { [okId]: 'completed', [badId]: 'failed' })
+
+      assert.strictEqual(bad.output.code, 'BOUNCED')
+    })
+
+    it('should store an array of other objects as the batch output', async function () {
+      const queueName = 'batch-array-output-queue'
+      await boss.createQueue(queueName, { retryLimit: 0 })
+
+      const firstId = await boss.send(queueName, { name: 'first' })
+      const secondId = await boss.send(queueName, { name: 'second' })
+
+      await boss.work(queueName, async (jobs) => {
+        return jobs.map(job => ({ id: job.id, name: job.data.name }))
+      }, { batchSize: 2, pollingInterval: 200 })
+
+      const [first] = await waitForStates(queueName, { [firstId]: 'completed', [secondId]: 'completed' })
+
+      assert.strictEqual(first.output.length, 2)
+      assert.deepStrictEqual(first.output.map(item => item.name).sort(), ['first', 'second'])
+    })
+
+    it('should let jobs settle themselves and apply the batch outcome to the rest', async function () {
+      const queueName = 'batch-helpers-queue'
+      await boss.createQueue(queueName, { retryLimit: 0 })
+
+      const errors = collectErrors(boss)
+
+      const doneId = await boss.send(queueName, { action: 'done' })
+      const failId = await boss.send(queueName, { action: 'fail' })
+      const restId = await boss.send(queueName, { action: 'none' })
+
+      await boss.work(queueName, async (jobs) => {
+        for (const job of jobs) {
+          if (job.data.action === 'done') {
+            await job.done({ handled: true })
+          } else if (job.data.action === 'fail') {
+            await job.fail(new Error('handled failure'))
+          }
+        }
+
+        throw new Error('batch failure')
+      }, { batchSize: 3, pollingInterval: 200 })
+
+      const [done, failed, rest] = await waitForStates(queueName, {
+        [doneId]: 'completed',
+        [failId]: 'failed',
+        [restId]: 'failed'
+      })
+      await waitFor(() => errors.length)
+
+      assert.deepStrictEqual(done.output, { handled: true })
+      assert.strictEqual(failed.output.message, 'handled failure')
+      assert.strictEqual(rest.output.message, 'batch failure')
+      assert.deepStrictEqual(errors.map(error => error.message), ['batch failure'])
+    })
+  })
+
+  describe('Queue Policies', function () {
+    it('should allow only one queued job per singleton key in a short queue', async function () {
+      const queueName = 'short-queue'
+      await boss.createQueue(queueName, { policy: 'short' })
+
+      const results = await Promise.all([
+        boss.send(queueName, { attempt: 1 }),
+        boss.send(queueName, { attempt: 2 }),
+        boss.send(queueName, { attempt: 3 })
+      ])
+
+      assert.strictEqual(results.filter(Boolean).length, 1)
+      assert(await boss.send(queueName, { attempt: 4 }, { singletonKey: 'other' }))
+
+      await boss.fetch(queueName, { batchSize: 10 })
+
+      assert(await boss.send(queueName, { attempt: 5 }))
+    })
+
+    it('should allow only one active job per singleton key in a singleton queue', async function () {
+      const queueName = 'singleton-policy-queue'
+      await boss.createQueue(queueName, { policy: 'singleton' })
+
+      await boss.send(queueName, { attempt: 1 })
+      await boss.send(queueName, { attempt: 2 })
+
+      const first = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(first.length, 1)
+
+      const blocked = await boss.fetch(queueName)
+      assert.strictEqual(blocked.length, 0)
+
+      await boss.complete(first[0].id)
+
+      const second = await boss.fetch(queueName)
+      assert.strictEqual(second.length, 1)
+    })
+
+    it('should not activate two singleton jobs under concurrent fetches', async function () {
+      const queueName = 'singleton-race-queue'
+      await boss.createQueue(queueName, { policy: 'singleton' })
+
+      for (let i = 0; i < 10; i++) {
+        await boss.send(queueName, { attempt: i })
+      }
+
+      const results = await Promise.all(Array.from({ length: 10 }, () => boss.fetch(queueName)))
+
+      assert.strictEqual(results.flat().length, 1)
+    })
+
+    it('should allow one queued and one active job in a stately queue', async function () {
+      const queueName = 'stately-queue'
+      await boss.createQueue(queueName, { policy: 'stately' })
+
+      assert(await boss.send(queueName, { attempt: 1 }))
+      assert.strictEqual(await boss.send(queueName, { attempt: 2 }), null)
+
+      const [active] = await boss.fetch(queueName)
+      assert(active)
+
+      assert(await boss.send(queueName, { attempt: 3 }))
+      assert.strictEqual(await boss.send(queueName, { attempt: 4 }), null)
+
+      assert.strictEqual((await boss.fetch(queueName)).length, 0)
+
+      await boss.complete(active.id)
+
+      assert.strictEqual((await boss.fetch(queueName)).length, 1)
+    })
+
+    it('should count a job waiting to retry as the queued job of a stately queue', async function () {
+      const queueName = 'stately-retry-queue'
+      await boss.createQueue(queueName, { policy: 'stately', retryLimit: 1, retryDelay: 60 })
+
+      const jobId = await boss.send(queueName, { attempt: 1 })
+      await boss.fetch(queueName)
+      await boss.fail(jobId, { message: 'first attempt' }, { retry: true })
+
+      assert.strictEqual((await boss.getJobById(queueName, jobId)).state, 'retry')
+      assert.strictEqual(await boss.send(queueName, { attempt: 2 }), null)
+    })
+
+    it('should throw insert errors other than policy rejections', async function () {
+      const queueName = 'insert-error-queue'
+      await boss.createQueue(queueName, { policy: 'short' })
+
+      const id = await boss.send(queueName, { attempt: 1 })
+
+      await assert.rejects(() => boss.send(queueName, { attempt: 2 }, { id, singletonKey: 'other' }), { code: 'ER_DUP_ENTRY' })
+      await assert.rejects(() => boss.send(queueName, { attempt: 3 }, { id: 'x'.repeat(40), singletonKey: 'another' }), { code: 'ER_DATA_TOO_LONG' })
+    })
+
+    it('should fail a stately job whose retry collides with a queued job', async function () {
+      const queueName = 'stately-retry-collision-queue'
+      await boss.createQueue(queueName, { policy: 'stately', retryLimit: 1 })
+
+      const activeId = await boss.send(queueName, { attempt: 1 })
+      await boss.fetch(queueName)
+      const queuedId = await boss.send(queueName, { attempt: 2 })
+
+      const [result] = await boss.fail(activeId, { message: 'first attempt' }, { retry: true })
+      assert.strictEqual(result.updated, true)
+
+      const failed = await boss.getJobById(queueName, activeId)
+      assert.strictEqual(failed.state, 'failed')
+      assert.deepStrictEqual(failed.output, { message: 'first attempt' })
+      assert.strictEqual((await boss.getJobById(queueName, queuedId)).state, 'created')
+    })
+
+    it('should not resume or retry a job whose policy key is taken', async function () {
+      const queueName = 'short-resume-queue'
+      await boss.createQueue(queueName, { policy: 'short' })
+
+      const cancelledId = await boss.send(queueName, { attempt: 1 })
+      await boss.cancel(cancelledId)
+      const queuedId = await boss.send(queueName, { attempt: 2 })
+      assert(queuedId)
+
+      const [resumed] = await boss.resume(cancelledId)
+      assert.strictEqual(resumed.updated, false)
+      await assert.rejects(() => boss.resume(cancelledId, { strict: true }), /blocked by queue policy/)
+
+      const statelyQueue = 'stately-retry-manual-queue'
+      await boss.createQueue(statelyQueue, { policy: 'stately' })
+
+      const failedId = await boss.send(statelyQueue, { attempt: 1 })
+      await boss.fail(failedId, { message: 'broken' })
+      await boss.send(statelyQueue, { attempt: 2 })
+
+      const [retried] = await boss.retry(failedId)
+      assert.strictEqual(retried.updated, false)
+
+      assert.strictEqual((await boss.getJobById(queueName, cancelledId)).state, 'cancelled')
+      assert.strictEqual((await boss.getJobById(statelyQueue, failedId)).state, 'failed')
+    })
+
+    it('should cancel a released job whose policy key is taken', async function () {
+      const queueName = 'short-release-queue'
+      const parentQueue = 'short-release-parent-queue'
+      await boss.createQueue(queueName, { policy: 'short' })
+      await boss.createQueue(parentQueue)
+
+      const parentId = await boss.send(parentQueue, { step: 1 })
+      const waitingId = await boss.send(queueName, { step: 2 }, { dependsOn: [parentId] })
+      const queuedId = await boss.send(queueName, { step: 3 })
+
+      const [completed] = await boss.complete(parentId)
+      assert.strictEqual(completed.updated, true)
+
+      assert.strictEqual((await boss.getJobById(queueName, waitingId)).state, 'cancelled')
+      assert.strictEqual((await boss.getJobById(queueName, queuedId)).state, 'created')
+    })
+  })
+
+  describe('Lease Heartbeats', function () {
+    it('should not expire a touched job', async function () {
+      const queueName = 'touch-queue'
+      await boss.createQueue(queueName)
+
+      const jobId = await boss.send(queueName, { video: 'long' }, { expireInSeconds: 1 })
+      await boss.fetch(queueName)
+
+      assert.strictEqual(await boss.touch(jobId, 10), 1)
+
+      await new Promise(resolve => setTimeout(resolve, 1500))
+      await boss.expire()
+
+      const job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'active')
+    })
+
+    it('should retry an expired job that has retries left', async function () {
+      const queueName = 'expire-retry-queue'
+      await boss.createQueue(queueName, { retryLimit: 1, retryDelay: 0 })
+
+      const jobId = await boss.send(queueName, { video: 'stuck' }, { expireInSeconds: 1 })
+      await boss.fetch(queueName)
+
+      await new Promise(resolve => setTimeout(resolve, 1500))
+      await boss.expire()
+
+      let job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'retry')
+      assert.strictEqual(job.retryCount, 1)
+
+      await boss.fetch(queueName)
+
+      await new Promise(resolve => setTimeout(resolve, 1500))
+      await boss.expire()
+
+      job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'failed')
+    })
+
+    it('should keep a long running handler alive with heartbeatSeconds', async function () {
+      const queueName = 'heartbeat-queue'
+      await boss.createQueue(queueName)
+
+      const jobId = await boss.send(queueName, { video: 'long' }, { expireInSeconds: 2 })
+
+      await boss.work(queueName, async () => {
+        await new Promise(resolve => setTimeout(resolve, 3000))
+        await boss.expire()
+        return { transcoded: true }
+      }, { pollingInterval: 200, heartbeatSeconds: 1 })
+
+      const job = await waitFor(async () => {
+        const job = await boss.getJobById(queueName, jobId)
+        return job.state !== 'created' && job.state !== 'active' && job
+      })
+
+      assert.strictEqual(job.state, 'completed')
+      assert.deepStrictEqual(job.output, { transcoded: true })
+    })
+
+    it('should not let a handler settle a job that expired and was fetched again', async function () {
+      const queueName = 'expired-handler-queue'
+      await boss.createQueue(queueName, { retryLimit: 1, retryDelay: 0 })
+
+      const jobId = await boss.send(queueName, { video: 'slow' }, { expireInSeconds: 1 })
+
+      const finished = new Promise(resolve => {
+        boss.work(queueName, async () => {
+          await new Promise(resolve => setTimeout(resolve, 1500))
+          await boss.expire()
+
+          const [refetched] = await boss.fetch(queueName)
+          resolve(refetched.id)
+
+          return { late: true }
+        }, { pollingInterval: 200 })
+      })
+
+      assert.strictEqual(await finished, jobId)
+
+      await new Promise(resolve => setTimeout(resolve, 500))
+
+      const job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'active')
+      assert.strictEqual(job.output, null)
+    })
+  })
+
+  describe('Cancellation', function () {
+    it('should not complete a job that was cancelled', async function () {
+      const queueName = 'cancel-complete-queue'
+      await boss.createQueue(queueName)
+
+      const jobId = await boss.send(queueName, { test: 'cancel' })
+      await boss.fetch(queueName)
+
+      await boss.cancel(jobId)
+      await boss.complete(jobId, { late: true })
+      await boss.fail(jobId, { late: true })
+
+      const job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'cancelled')
+      assert.strictEqual(job.output, null)
+    })
+
+    it('should abort the signal of a running job when it is cancelled', async function () {
+      const queueName = 'cancel-signal-queue'
+      await boss.createQueue(queueName)
+
+      const errors = collectErrors(boss)
+
+      const jobId = await boss.send(queueName, { test: 'cancel' })
+
+      const aborted = new Promise(resolve => {
+        boss.work(queueName, async ([job]) => {
+          await boss.cancel(job.id)
+          assert(job.signal.aborted)
+          resolve(job.signal.reason.message)
+          return { finished: true }
+        }, { pollingInterval: 200 })
+      })
+
+      assert.strictEqual(await aborted, 'Job was cancelled')
+
+      await new Promise(resolve => setTimeout(resolve, 200))
+
+      const job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'cancelled')
+      assert.deepStrictEqual(errors, [])
+    })
+  })
+
+  describe('State Transitions', function () {
+    it('should report per job whether an action took effect', async function () {
+      const queueName = 'transition-queue'
+      await boss.createQueue(queueName)
+
+      const doneId = await boss.send(queueName, { test: 'done' })
+      const openId = await boss.send(queueName, { test: 'open' })
+
+      await boss.complete(doneId)
+
+      const results = await boss.cancel([doneId, openId])
+
+      assert.deepStrictEqual(results, [
+        { id: doneId, updated: false, previousState: 'completed' },
+        { id: openId, updated: true, previousState: 'created' }
+      ])
+
+      const [resumed] = await boss.resume(doneId)
+      assert.strictEqual(resumed.updated, false)
+
+      const job = await boss.getJobById(queueName, doneId)
+      assert.strictEqual(job.state, 'completed')
+    })
+
+    it('should throw and change nothing on an invalid transition in strict mode', async function () {
+      const queueName = 'strict-transition-queue'
+      await boss.createQueue(queueName)
+
+      const cancelledId = await boss.send(queueName, { test: 'cancelled' })
+      const openId = await boss.send(queueName, { test: 'open' })
+
+      await boss.cancel(cancelledId)
+
+      await assert.rejects(() => boss.complete([cancelledId, openId], null, { strict: true }), /Cannot complete/)
+
+      const job = await boss.getJobById(queueName, openId)
+      assert.strictEqual(job.state, 'created')
+    })
+  })
+
+  describe('Idempotency Keys', function () {
+    it('should return the original job for a repeated key', async function () {
+      const queueName = 'idempotent-queue'
+      await boss.createQueue(queueName)
+
+      const first = await boss.send(queueName, { charge: 1 }, { idempotencyKey: 'request-1' })
+      const second = await boss.send(queueName, { charge: 1 }, { idempotencyKey: 'request-1' })
+
+      assert.strictEqual(first.created, true)
+      assert.strictEqual(second.created, false)
+      assert.strictEqual(second.id, first.id)
+      assert.strictEqual(second.state, 'created')
+
+      const jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(jobs.length, 1)
+
+      await boss.complete(first.id, { charged: true })
+
+      const third = await boss.send(queueName, { charge: 1 }, { idempotencyKey: 'request-1' })
+      assert.strictEqual(third.state, 'completed')
+      assert.deepStrictEqual(third.output, { charged: true })
+    })
+
+    it('should create a new job once the key has expired', async function () {
+      const queueName = 'idempotent-ttl-queue'
+      await boss.createQueue(queueName)
+
+      const first = await boss.send(queueName, {}, { idempotencyKey: 'request-2', idempotencyTtl: 1 })
+
+      await new Promise(resolve => setTimeout(resolve, 2100))
+
+      const second = await boss.send(queueName, {}, { idempotencyKey: 'request-2', idempotencyTtl: 1 })
+
+      assert.strictEqual(second.created, true)
+      assert.notStrictEqual(second.id, first.id)
+    })
+  })
+
+  describe('Job Dependencies', function () {
+    it('should keep a job waiting until every job it depends on completes', async function () {
+      const queueName = 'dependency-queue'
+      await boss.createQueue(queueName)
+
+      const firstId = await boss.send(queueName, { step: 1 })
+      const secondId = await boss.send(queueName, { step: 2 })
+      const childId = await boss.send(queueName, { step: 3 }, { dependsOn: [firstId, secondId] })
+
+      assert.strictEqual((await boss.getJobById(queueName, childId)).state, 'waiting')
+
+      await boss.complete(firstId)
+      assert.strictEqual((await boss.getJobById(queueName, childId)).state, 'waiting')
+
+      await boss.complete(secondId)
+      assert.strictEqual((await boss.getJobById(queueName, childId)).state, 'created')
+    })
+
+    it('should fail or cancel waiting jobs when a dependency fails', async function () {
+      const queueName = 'dependency-failure-queue'
+      await boss.createQueue(queueName)
+
+      const parentId = await boss.send(queueName, { step: 1 })
+      const failedId = await boss.send(queueName, { step: 2 }, { dependsOn: [parentId] })
+      const cancelledId = await boss.send(queueName, { step: 2 }, { dependsOn: [parentId], onParentFailure: 'cancel' })
+      const grandchildId = await boss.send(queueName, { step: 3 }, { dependsOn: [failedId] })
+
+      await boss.fail(parentId, { message: 'broken' })
+
+      assert.strictEqual((await boss.getJobById(queueName, failedId)).state, 'failed')
+      assert.strictEqual((await boss.getJobById(queueName, cancelledId)).state, 'cancelled')
+      assert.strictEqual((await boss.getJobById(queueName, grandchildId)).state, 'failed')
+    })
+
+    it('should insert and inspect a flow', async function () {
+      const queueName = 'flow-queue'
+      await boss.createQueue(queueName)
+
+      const tree = await boss.flow({
+        name: queueName,
+        data: { step: 'publish' },
+        children: [
+          { name: queueName, data: { step: 'transcode' } },
+          { name: queueName, data: { step: 'thumbnail' } }
+        ]
+      })
+
+      assert.strictEqual(tree.children.length, 2)
+
+      const jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(jobs.length, 2)
+
+      await boss.complete(jobs.map(job => job.id))
+
+      const flow = await boss.getFlow(tree.id)
+
+      assert.strictEqual(flow.id, tree.id)
+      assert.strictEqual(flow.state, 'created')
+      assert.deepStrictEqual(flow.children.map(job => job.state), ['completed', 'completed'])
+    })
+  })
+
+  describe('Spawned Children', function () {
+    it('should deliver the parent again with its children outputs', async function () {
+      const parentQueue = 'csv-import-queue'
+      const childQueue = 'csv-chunk-queue'
+      await boss.createQueue(parentQueue)
+      await boss.createQueue(childQueue)
+
+      const parentId = await boss.send(parentQueue, { chunks: 3 })
+
+      await boss.work(childQueue, async ([job]) => ({ rows: job.data.rows }), { pollingInterval: 200 })
+
+      await boss.work(parentQueue, async ([job]) => {
+        if (!job.children.length) {
+          for (let i = 1; i <= job.data.chunks; i++) {
+            await job.spawn(childQueue, { rows: i * 10 })
+          }
+          return
+        }
+
+        return { rows: job.children.reduce((acc, child) => acc + child.output.rows, 0) }
+      }, { pollingInterval: 200 })
+
+      const parent = await waitForState(parentQueue, parentId, 'completed')
+
+      assert.deepStrictEqual(parent.output, { rows: 60 })
+    })
+
+    it('should release a parent whose child finishes while it is being suspended', async function () {
+      const parentQueue = 'suspend-race-parent-queue'
+      const childQueue = 'suspend-race-child-queue'
+      await boss.createQueue(parentQueue)
+      await boss.createQueue(childQueue)
+
+      const parentId = await boss.send(parentQueue, {})
+      const connection = await createTestConnection()
+
+      try {
+        await boss.work(parentQueue, async ([job]) => {
+          if (job.children.length) {
+            return { rows: job.children[0].output.rows }
+          }
+
+          const childId = await job.spawn(childQueue, {})
+
+          // the child completes in a transaction that is still open when the parent suspends
+          await connection.beginTransaction()
+          await boss.complete(childId, { rows: 10 }, { db: connection })
+          setTimeout(() => connection.commit(), 500)
+        }, { pollingInterval: 200 })
+
+        const parent = await waitForState(parentQueue, parentId, 'completed')
+
+        assert.deepStrictEqual(parent.output, { rows: 10 })
+      } finally {
+        await connection.end()
+      }
+    })
+  })
+
+  describe('Job Progress', function () {
+    it('should persist progress reported by a handler', async function () {
+      const queueName = 'progress-queue'
+      await boss.createQueue(queueName)
+
+      const jobId = await boss.send(queueName, { files: 2 })
+      const events = []
+      boss.on('progress', data => events.push(data))
+
+      const [job] = await boss.fetch(queueName)
+
+      assert.strictEqual(await boss.progress(job.id, 50), true)
+      assert.strictEqual(await boss.progress(job.id, { percent: 100, file: 'b.csv' }), true)
+
+      let stored = await boss.getJobById(queueName, jobId)
+      assert.deepStrictEqual(stored.progress, { percent: 100, file: 'b.csv' })
+
+      const active = await boss.getActiveJobs({ name: queueName })
+      assert.strictEqual(active.length, 1)
+      assert.deepStrictEqual(active[0].progress, { percent: 100, file: 'b.csv' })
+
+      await boss.complete(jobId)
+
+      assert.strictEqual(await boss.progress(jobId, 0), false)
+      stored = await boss.getJobById(queueName, jobId)
+      assert.deepStrictEqual(stored.progress, { percent: 100, file: 'b.csv' })
+      assert.deepStrictEqual(events.map(i => i.progress), [50, { percent: 100, file: 'b.csv' }])
+    })
+  })
+
+  describe('Job History', function () {
+    it('should record each attempt of a retried job', async function () {
+      const queueName = 'history-queue'
+      await boss.createQueue(queueName, { retryLimit: 1, retryDelay: 0 })
+
+      const jobId = await boss.send(queueName, { value: 1 })
+
+      await boss.fetch(queueName)
+      await boss.fail(jobId, { message: 'first attempt' }, { retry: true })
+
+      const [job] = await boss.fetch(queueName)
+      assert.strictEqual(job.id, jobId)
+      await boss.complete(jobId)
+
+      const history = await boss.getJobHistory(jobId)
+
+      assert.deepStrictEqual(history.map(i => i.state), ['created', 'active', 'retry', 'active', 'completed'])
+      assert.deepStrictEqual(history.map(i => i.attempt), [1, 1, 1, 2, 2])
+      assert.deepStrictEqual(history[2].output, { message: 'first attempt' })
+      assert.strictEqual(history[4].output, null)
+    })
+
+    it('should record the worker that ran the job', async function () {
+      const queueName = 'history-worker-queue'
+      await boss.createQueue(queueName)
+
+      const jobId = await boss.send(queueName)
+      const workerId = await boss.work(queueName, async () => {}, { pollingInterval: 200 })
+
+      const history = await waitFor(async () => {
+        const history = await boss.getJobHistory(jobId)
+        return history.length >= 3 && history
+      })
+
+      assert.deepStrictEqual(history.map(i => i.state), ['created', 'active', 'completed'])
+      assert.strictEqual(history[0].workerId, null)
+      assert.strictEqual(history[1].workerId, workerId)
+      assert.strictEqual(history[2].workerId, workerId)
+    })
+  })
+
+  describe('Paused Queues', function () {
+    it('should hold jobs of a paused queue until it is resumed', async function () {
+      const queueName = 'paused-queue'
+      await boss.createQueue(queueName)
+
+      const events = []
+      boss.on('queue-paused', data => events.push(['paused', data.name]))
+      boss.on('queue-resumed', data => events.push(['resumed', data.name]))
+
+      assert.strictEqual(await boss.pauseQueue(queueName), true)
+      assert.strictEqual(await boss.pauseQueue(queueName), false)
+      assert.strictEqual((await boss.getQueue(queueName)).paused, true)
+
+      const jobId = await boss.send(queueName, { value: 1 })
+      assert.strictEqual((await boss.fetch(queueName)).length, 0)
+
+      assert.strictEqual(await boss.resumeQueue(queueName), true)
+      assert.strictEqual((await boss.getQueue(queueName)).paused, false)
+
+      const [job] = await boss.fetch(queueName)
+      assert.strictEqual(job.id, jobId)
+      assert.deepStrictEqual(events, [['paused', queueName], ['resumed', queueName]])
+    })
+
+    it('should throw when pausing a missing queue', async function () {
+      await assert.rejects(() => boss.pauseQueue('no-such-queue'), /not found/)
+    })
+  })
+
+  describe('Rate Limits', function () {
+    it('should start no more than max jobs per window', async function () {
+      const queueName = 'rate-limited-queue'
+      await boss.createQueue(queueName, { rateLimit: { max: 2, durationSeconds: 2 } })
+
+      for (let i = 0; i < 3; i++) {
+        await boss.send(queueName, { value: i })
+      }
+
+      const first = await boss.fetch(queueName, { batchSize: 10 })
+      const second = await boss.fetch(queueName, { batchSize: 10 })
+
+      assert.strictEqual(first.length, 2)
+      assert.strictEqual(second.length, 0)
+
+      await new Promise(resolve => setTimeout(resolve, 2100))
+
+      const third = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(third.length, 1)
+    })
+
+    it('should report and update the rate limit', async function () {
+      const queueName = 'rate-update-queue'
+      await boss.createQueue(queueName)
+
+      assert.strictEqual((await boss.getQueue(queueName)).rateLimit, null)
+
+      await boss.updateQueue(queueName, { rateLimit: { max: 5, durationSeconds: 10 } })
+      assert.deepStrictEqual((await boss.getQueue(queueName)).rateLimit, { max: 5, durationSeconds: 10 })
+
+      await boss.updateQueue(queueName, { retryLimit: 1 })
+      assert.deepStrictEqual((await boss.getQueue(queueName)).rateLimit, { max: 5, durationSeconds: 10 })
+
+      await boss.updateQueue(queueName, { rateLimit: null })
+      assert.strictEqual((await boss.getQueue(queueName)).rateLimit, null)
+    })
+  })
+
+  describe('Job Groups', function () {
+    it('should cap active jobs per group and fetch across groups', async function () {
+      const queueName = 'grouped-queue'
+      await boss.createQueue(queueName, { groupConcurrency: 1 })
+
+      for (let i = 0; i < 3; i++) {
+        await boss.send(queueName, { tenant: 'a', i }, { group: 'a' })
+      }
+
+      await boss.send(queueName, { tenant: 'b' }, { group: 'b' })
+
+      const first = await boss.fetch(queueName, { batchSize: 10, includeMetadata: true })
+      assert.deepStrictEqual(first.map(job => job.group).sort(), ['a', 'b'])
+
+      const second = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(second.length, 0)
+
+      await boss.complete(first.find(job => job.group === 'a').id)
+
+      const third = await boss.fetch(queueName, { batchSize: 10, includeMetadata: true })
+      assert.strictEqual(third.length, 1)
+      assert.strictEqual(third[0].group, 'a')
+      assert.deepStrictEqual(third[0].data, { tenant: 'a', i: 1 })
+    })
+  })
+
+  describe('Ordering Keys', function () {
+    it('should run jobs of one key one at a time in order', async function () {
+      const queueName = 'ordered-queue'
+      await boss.createQueue(queueName, { retryLimit: 1, retryDelay: 0 })
+
+      const first = await boss.send(queueName, { step: 1 }, { orderingKey: 'account-1' })
+      const second = await boss.send(queueName, { step: 2 }, { orderingKey: 'account-1' })
+      const other = await boss.send(queueName, { step: 1 }, { orderingKey: 'account-2' })
+
+      let jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.deepStrictEqual(jobs.map(job => job.id).sort(), [first, other].sort())
+
+      // a pending retry keeps its place at the head of the key
+      await boss.fail(first, { message: 'try again' }, { retry: true })
+
+      jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.deepStrictEqual(jobs.map(job => job.id), [first])
+
+      await boss.complete(first)
+
+      jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.deepStrictEqual(jobs.map(job => job.id), [second])
+    })
+
+    it('should block a key behind a failed job until it is retried', async function () {
+      const queueName = 'ordered-failed-queue'
+      await boss.createQueue(queueName, { retryLimit: 0, retryDelay: 0 })
+
+      const first = await boss.send(queueName, { step: 1 }, { orderingKey: 'account-1' })
+      const second = await boss.send(queueName, { step: 2 }, { orderingKey: 'account-1' })
+
+      await boss.fetch(queueName)
+      await boss.fail(first, { message: 'broken' }, { retry: true })
+
+      assert.strictEqual((await boss.fetch(queueName, { batchSize: 10 })).length, 0)
+
+      await boss.retry(first)
+
+      let jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.deepStrictEqual(jobs.map(job => job.id), [first])
+
+      await boss.complete(first)
+
+      jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.deepStrictEqual(jobs.map(job => job.id), [second])
+    })
+  })
+
+  describe('Transactional Writes', function () {
+    let connection
+
+    beforeEach(async function () {
+      connection = await createTestConnection()
+    })
+
+    afterEach(async function () {
+      await connection.end()
+    })
+
+    it('should only enqueue a job sent on a connection when it commits', async function () {
+      const queueName = 'outbox-queue'
+      await boss.createQueue(queueName)
+
+      await connection.beginTransaction()
+      const rolledBackId = await boss.send(queueName, { order: 1 }, { db: connection })
+      await connection.rollback()
+
+      await connection.beginTransaction()
+      const committedId = await boss.send(queueName, { order: 2 }, { db: connection })
+      await connection.commit()
+
+      assert.strictEqual(await boss.getJobById(queueName, rolledBackId), null)
+      assert(await boss.getJobById(queueName, committedId))
+    })
+
+    it('should complete a job inside an adapted transaction', async function () {
+      const queueName = 'outbox-adapter-queue'
+      await boss.createQueue(queueName)
+
+      const jobId = await boss.send(queueName, { order: 3 })
+      await boss.fetch(queueName)
+
+      // knex runs raw statements on its mysql2 connection the same way
+      const db = SwiftQueueMySQL.adapters.fromKnex({ raw: (text, values) => connection.query(text, values) })
+
+      await connection.beginTransaction()
+      const [result] = await boss.complete(jobId, { receipt: true }, { db })
+      await connection.commit()
+
+      assert.strictEqual(result.updated, true)
+
+      const job = await boss.getJobById(queueName, jobId)
+      assert.strictEqual(job.state, 'completed')
+    })
+
+    it('should deliver each job once when fetching on connections outside a transaction', async function () {
+      const queueName = 'outbox-fetch-queue'
+      await boss.createQueue(queueName)
+
+      const total = 20
+      for (let i = 0; i < total; i++) {
+        await boss.send(queueName, { order: i })
+      }
+
+      const other = await createTestConnection()
+
+      try {
+        const delivered = await fetchUntilEmpty([connection, other].map(db => () => boss.fetch(queueName, { batchSize: 3, db })))
+
+        assert.strictEqual(delivered.length, total)
+        assert.strictEqual(new Set(delivered).size, total)
+      } finally {
+        await other.end()
+      }
+    })
+  })
+
   describe('Error Handling', function() {
-    it('should handle worker errors gracefully', function(done) {
+    it('should handle worker errors gracefully', async function () {
       const queueName = 'error-queue'
-      let errorCount = 0
-      
-      boss.on('error', (error) => {
-        errorCount++
-        if (errorCount === 1) {
-          assert(error.message.includes('test error'))
-          done()
-        }
+      const errors = collectErrors(boss)
+
+      // no retries, so the worker is done with the job once it fails
+      await boss.createQueue(queueName, { retryLimit: 0 })
+      await boss.work(queueName, async (jobs) => {
+        throw new Error('test error')
       })
-      
-      boss.createQueue(queueName).then(async () => {
-        await boss.work(queueName, async (jobs) => {
-          throw new Error('test error')
-        })
-        
-        await boss.send(queueName, { test: 'error' })
-      }).catch(done)
+
+      const jobId = await boss.send(queueName, { test: 'error' })
+
+      await waitForState(queueName, jobId, 'failed')
+      await waitFor(() => errors.length)
+
+      assert.deepStrictEqual(errors.map(error => error.message), ['test error'])
     })
 
     it('should handle database disconnection', async function() {
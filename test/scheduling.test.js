@@ -1,27 +1,24 @@
 const assert = require('assert')
-const SwiftQueueMySQL = require('../src/index')
+const { startTestBoss, stopTestBoss, withTestBoss } = require('./hooks')
 
 describe('Scheduling Tests', function() {
   this.timeout(15000)
   
   let boss
 
-  before(async function() {
-    boss = new SwiftQueueMySQL({
-      host: process.env.MYSQL_HOST || 'localhost',
-      user: process.env.MYSQL_USER || 'root',
-      password: process.env.MYSQL_PASSWORD || 'password',
-      database: process.env.MYSQL_DATABASE || 'swift_queue_test'
-    })
-    
-    await boss.start()
+  // resolves at the start of the next singletonSeconds slot, so sends made
+  // right after it fall in the same slot
+  function waitForSlot (seconds) {
+    const ms = seconds * 1000
+    return new Promise(resolve => setTimeout(resolve, ms - Date.now() % ms))
+  }
+
+  before(async function () {
+    boss = await startTestBoss()
   })
 
-  after(async function() {
-    if (boss) {
-      await boss.clearStorage()
-      await boss.stop()
-    }
+  after(async function () {
+    await stopTestBoss(boss)
   })
 
   beforeEach(async function() {
@@ -52,6 +49,163 @@ describe('Scheduling Tests', function() {
       assert.strictEqual(schedules.length, 0)
     })
 
+    it('should keep several schedules per queue by key', async function () {
+      const queueName = 'scheduled-queue'
+      await boss.createQueue(queueName)
+      await boss.createQueue('other-queue')
+
+      await boss.schedule(queueName, '0 * * * *', { period: 'hour' }, { key: 'hourly' })
+      await boss.schedule(queueName, '0 3 * * *', { period: 'day' }, { key: 'nightly' })
+      await boss.schedule(queueName, '0 4 * * *', { period: 'day' }, { key: 'nightly' })
+      await boss.schedule('other-queue', '* * * * *', {})
+
+      const schedules = await boss.getSchedules({ queue: queueName })
+      assert.deepStrictEqual(schedules.map(i => [i.key, i.cron]), [['hourly', '0 * * * *'], ['nightly', '0 4 * * *']])
+
+      await boss.unschedule(queueName, 'hourly')
+
+      const remaining = await boss.getSchedules()
+      assert.deepStrictEqual(remaining.map(i => [i.name, i.key]), [['other-queue', 'default'], [queueName, 'nightly']])
+    })
+
+    it('should catch up missed slots once each', async function () {
+      await boss.createQueue('catch-up-all')
+      await boss.createQueue('catch-up-latest')
+
+      await boss.schedule('catch-up-all', '0 * * * *', {}, { catchUp: 'all' })
+      await boss.schedule('catch-up-latest', '0 * * * *', {}, { catchUp: 'latest' })
+
+      // pretend the schedules last fired three hours ago
+      const hour = 60 * 60 * 1000
+      const lastSlot = new Date(Math.floor(Date.now() / hour) * hour - 3 * hour)
+      const db = boss.getDb()
+      await db.executeSql(`UPDATE \`${db.schema}\`.\`schedule\` SET \`last_slot\` = ?`, [lastSlot])
+
+      // a second tick must not send any slot again
+      await withTestBoss({ cronMonitorIntervalSeconds: 1 }, () => new Promise(resolve => setTimeout(resolve, 2500)))
+
+      const all = await boss.fetch('catch-up-all', { batchSize: 10 })
+      const latest = await boss.fetch('catch-up-latest', { batchSize: 10 })
+
+      assert.strictEqual(all.length, 3)
+      assert.strictEqual(latest.length, 1)
+      assert.strictEqual(latest[0].singletonKey, `default:${new Date(lastSlot.getTime() + 3 * hour).toISOString()}`)
+
+      const [schedule] = await boss.getSchedules({ queue: 'catch-up-all' })
+      assert.strictEqual(schedule.lastSlot.getTime(), lastSlot.getTime() + 3 * hour)
+    })
+
+    it('should run interval and seconds schedules on time', async function () {
+      await boss.createQueue('interval-queue')
+      await boss.createQueue('seconds-queue')
+
+      await boss.schedule('interval-queue', { every: '1s' }, {})
+      await boss.schedule('seconds-queue', '*/2 * * * * *', {})
+
+      const [interval] = await boss.getSchedules({ queue: 'interval-queue' })
+      assert.strictEqual(interval.cron, null)
+      assert.strictEqual(interval.every, 1)
+
+      // the reload interval is far longer than the test, so slots are not found by polling
+      await withTestBoss({ cronMonitorIntervalSeconds: 60 }, () => new Promise(resolve => setTimeout(resolve, 4500)))
+
+      const intervalJobs = await boss.fetch('interval-queue', { batchSize: 10 })
+      const secondsJobs = await boss.fetch('seconds-queue', { batchSize: 10 })
+
+      assert(intervalJobs.length >= 3, `expected at least 3 interval jobs, got ${intervalJobs.length}`)
+      assert(secondsJobs.length >= 1, `expected a seconds cron job, got ${secondsJobs.length}`)
+
+      await assert.rejects(boss.schedule('interval-queue', { every: 'soon' }, {}))
+    })
+
+    it('should pause, resume and trigger a schedule', async function () {
+      const queueName = 'scheduled-queue'
+      await boss.createQueue(queueName)
+
+      await boss.schedule(queueName, '0 * * * *', { message: 'hourly' }, { key: 'hourly' })
+
+      assert.strictEqual(await boss.pauseSchedule(queueName, 'hourly'), true)
+      assert.strictEqual(await boss.pauseSchedule(queueName, 'hourly'), false)
+
+      const [paused] = await boss.getSchedules({ queue: queueName })
+      assert.strictEqual(paused.paused, true)
+      assert.strictEqual(paused.nextRunOn, null)
+      assert.strictEqual(paused.lastRunOn, null)
+
+      const jobId = await boss.triggerSchedule(queueName, 'hourly')
+      const [job] = await boss.fetch(queueName)
+      assert.strictEqual(job.id, jobId)
+      assert.deepStrictEqual(job.data, { message: 'hourly' })
+
+      assert.strictEqual(await boss.resumeSchedule(queueName, 'hourly'), true)
+
+      const [schedule] = await boss.getSchedules({ queue: queueName })
+      assert.strictEqual(schedule.paused, false)
+      assert.strictEqual(schedule.lastJobId, jobId)
+      assert(schedule.lastRunOn instanceof Date)
+      assert(schedule.nextRunOn > new Date())
+
+      await assert.rejects(boss.pauseSchedule(queueName), /not found/)
+    })
+
+    it('should stop a schedule after its run limit', async function () {
+      const queueName = 'limited-queue'
+      await boss.createQueue(queueName)
+
+      await boss.schedule(queueName, { every: '1s' }, {}, { limit: 2 })
+
+      const [created] = await boss.getSchedules({ queue: queueName })
+      assert.strictEqual(created.remaining, 2)
+
+      await withTestBoss({ cronMonitorIntervalSeconds: 1 }, () => new Promise(resolve => setTimeout(resolve, 4000)))
+
+      const jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(jobs.length, 2)
+
+      const [schedule] = await boss.getSchedules({ queue: queueName })
+      assert.strictEqual(schedule.runCount, 2)
+      assert.strictEqual(schedule.remaining, 0)
+      assert.strictEqual(schedule.paused, true)
+      assert.strictEqual(schedule.nextRunOn, null)
+    })
+
+    it('should not record runs the queue policy rejects', async function () {
+      const queueName = 'short-scheduled-queue'
+      await boss.createQueue(queueName, { policy: 'short' })
+
+      await boss.schedule(queueName, { every: '1s' }, {}, { limit: 2 })
+
+      const jobId = await boss.triggerSchedule(queueName)
+      assert.strictEqual(await boss.triggerSchedule(queueName), null)
+
+      await withTestBoss({ cronMonitorIntervalSeconds: 1 }, () => new Promise(resolve => setTimeout(resolve, 3000)))
+
+      const jobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.deepStrictEqual(jobs.map(job => job.id), [jobId])
+
+      const [schedule] = await boss.getSchedules({ queue: queueName })
+      assert.strictEqual(schedule.lastJobId, jobId)
+      assert.strictEqual(schedule.runCount, 0)
+      assert.strictEqual(schedule.paused, false)
+    })
+
+    it('should only run between the start and end dates', async function () {
+      const queueName = 'window-queue'
+      await boss.createQueue(queueName)
+
+      const startDate = new Date('2030-01-01T00:00:00Z')
+      const endDate = new Date('2030-01-08T00:00:00Z')
+
+      await boss.schedule(queueName, '0 9 * * *', {}, { startDate, endDate })
+
+      const [schedule] = await boss.getSchedules({ queue: queueName })
+      assert.strictEqual(schedule.startOn.getTime(), startDate.getTime())
+      assert.strictEqual(schedule.nextRunOn.toISOString(), '2030-01-01T09:00:00.000Z')
+
+      await assert.rejects(boss.schedule(queueName, '0 9 * * *', {}, { startDate: endDate, endDate: startDate }))
+      await assert.rejects(boss.schedule(queueName, '0 9 * * *', {}, { limit: 0 }))
+    })
+
     it('should handle timezone in scheduling', async function() {
       const queueName = 'scheduled-queue'
       await boss.createQueue(queueName)
@@ -127,6 +281,8 @@ describe('Scheduling Tests', function() {
       
       const singletonKey = 'time-limited-task'
       
+      await waitForSlot(2)
+
       // Send job with singleton time window
       await boss.send(queueName, { task: 1 }, { 
         singletonKey, 
@@ -176,13 +332,43 @@ describe('Scheduling Tests', function() {
       const debounceKey = 'debounced-task'
       
       // Send multiple debounced jobs rapidly
-      await boss.sendDebounced(queueName, { task: 1 }, { singletonSeconds: 2 }, debounceKey)
-      await boss.sendDebounced(queueName, { task: 2 }, { singletonSeconds: 2 }, debounceKey)
-      await boss.sendDebounced(queueName, { task: 3 }, { singletonSeconds: 2 }, debounceKey)
+      const first = await boss.sendDebounced(queueName, { task: 1 }, { singletonSeconds: 2 }, debounceKey)
+      const second = await boss.sendDebounced(queueName, { task: 2 }, { singletonSeconds: 2 }, debounceKey)
+      const third = await boss.sendDebounced(queueName, { task: 3 }, { singletonSeconds: 2 }, debounceKey)
+
+      assert.strictEqual(first.status, 'created')
+      assert.strictEqual(second.status, 'updated')
+      assert.strictEqual(third.status, 'updated')
+      assert.strictEqual(third.id, first.id)
+
+      // Each send pushes the job out by the debounce window
+      const immediateJobs = await boss.fetch(queueName, { batchSize: 10 })
+      assert.strictEqual(immediateJobs.length, 0)
+
+      await new Promise(resolve => setTimeout(resolve, 2100))
       
       const jobs = await boss.fetch(queueName, { batchSize: 10 })
       
-      // Should only have one job due to debouncing
+      // Should only have one job due to debouncing, carrying the latest data
+      assert.strictEqual(jobs.length, 1)
+      assert.deepStrictEqual(jobs[0].data, { task: 3 })
+    })
+
+    it('should debounce concurrent first sends into one job', async function () {
+      const queueName = 'debounce-race-queue'
+      await boss.createQueue(queueName)
+
+      const results = await Promise.all(Array.from({ length: 5 }, (_, task) =>
+        boss.sendDebounced(queueName, { task }, { singletonSeconds: 1 }, 'debounce-race')
+      ))
+
+      assert.strictEqual(results.filter(result => result.status === 'created').length, 1)
+      assert.strictEqual(results.filter(result => result.status === 'updated').length, 4)
+      assert.strictEqual(new Set(results.map(result => result.id)).size, 1)
+
+      await new Promise(resolve => setTimeout(resolve, 1100))
+
+      const jobs = await boss.fetch(queueName, { batchSize: 10 })
       assert.strictEqual(jobs.length, 1)
     })
 
@@ -192,15 +378,21 @@ describe('Scheduling Tests', function() {
       
       const throttleKey = 'throttled-task'
       
+      await waitForSlot(2)
+
       // Send multiple throttled jobs
-      await boss.sendThrottled(queueName, { task: 1 }, { singletonSeconds: 2 }, throttleKey)
-      await boss.sendThrottled(queueName, { task: 2 }, { singletonSeconds: 2 }, throttleKey)
-      await boss.sendThrottled(queueName, { task: 3 }, { singletonSeconds: 2 }, throttleKey)
+      const results = [
+        await boss.sendThrottled(queueName, { task: 1 }, { singletonSeconds: 2 }, throttleKey),
+        await boss.sendThrottled(queueName, { task: 2 }, { singletonSeconds: 2 }, throttleKey),
+        await boss.sendThrottled(queueName, { task: 3 }, { singletonSeconds: 2 }, throttleKey)
+      ]
       
       const jobs = await boss.fetch(queueName, { batchSize: 10 })
       
       // Should only have one job due to throttling
       assert.strictEqual(jobs.length, 1)
+      assert.strictEqual(results.filter(i => i.status === 'created').length, 1)
+      assert.strictEqual(results.filter(i => i.status === 'dropped').length, 2)
     })
   })
 })